@@ -135,10 +135,12 @@ CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON idempotency_keys(expires_a
 
 -- Ensure ledger entries always balance within a transaction
 -- (Sum of all amounts per transaction must equal 0)
--- This is enforced at application level + can be added as a trigger
+-- Enforced at application level, and by a deferred constraint trigger
+-- (014_ledger_invariants.sql)
 
 -- Ensure balances never go negative for user accounts
--- This is enforced at application level with SELECT FOR UPDATE
+-- Enforced at application level with SELECT FOR UPDATE, and by a trigger
+-- on account_balances (014_ledger_invariants.sql)
 
 
 -- TRIGGER: Auto-update updated_at on accounts
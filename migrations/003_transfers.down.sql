@@ -0,0 +1,5 @@
+-- Revert 003_transfers.sql
+-- Postgres cannot drop an enum value: TRANSFER stays in transaction_type,
+-- unused by code before this migration. Running 003 again is a no-op.
+
+SELECT 1;
@@ -0,0 +1,7 @@
+-- Peer-to-peer transfers
+-- Run this AFTER 001_schema.sql and 002_seed.sql
+
+-- TRANSACTION TYPES
+-- User → User movement of the same asset (gifting, trading between players)
+
+ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'TRANSFER';
@@ -0,0 +1,8 @@
+-- Revert 004_system_account_routing.sql
+-- The Diamonds and Loyalty Points revenue and bonus pool accounts are kept,
+-- since they may have ledger history; only the role mapping goes.
+
+DROP TABLE IF EXISTS system_accounts;
+DROP TYPE  IF EXISTS system_account_role;
+
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_id_asset_type_key;
@@ -0,0 +1,64 @@
+-- Asset-aware system account routing
+-- Run this AFTER 002_seed.sql (references the seeded asset types and system accounts)
+
+-- SYSTEM ACCOUNT ROLES
+-- The counterparty a flow needs: TOP_UP draws from the TREASURY,
+-- BONUS from the BONUS_POOL, and SPEND pays into REVENUE.
+
+CREATE TYPE system_account_role AS ENUM ('TREASURY', 'REVENUE', 'BONUS_POOL');
+
+-- Lets system_accounts reference (id, asset_type_id) so a mapping can
+-- never point an asset at another asset's account.
+ALTER TABLE accounts
+    ADD CONSTRAINT accounts_id_asset_type_key UNIQUE (id, asset_type_id);
+
+
+-- SYSTEM ACCOUNTS
+-- Table-driven mapping of (asset, role) → system account.
+-- Supporting a new asset type only requires new rows here.
+
+CREATE TABLE IF NOT EXISTS system_accounts (
+    asset_type_id   UUID NOT NULL REFERENCES asset_types(id),
+    role            system_account_role NOT NULL,
+    account_id      UUID NOT NULL,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (asset_type_id, role),
+    FOREIGN KEY (account_id, asset_type_id) REFERENCES accounts(id, asset_type_id)
+);
+
+
+-- Revenue and bonus pool accounts for Diamonds and Loyalty Points
+-- (Gold Coins already has all three in 002_seed.sql)
+
+INSERT INTO accounts (id, external_id, account_type, name, asset_type_id)
+VALUES
+    ('b1000000-0000-0000-0000-000000000006', 'SYSTEM_REVENUE_DIAMONDS', 'SYSTEM', 'Diamonds Revenue',          'a1000000-0000-0000-0000-000000000002'),
+    ('b1000000-0000-0000-0000-000000000007', 'SYSTEM_BONUS_DIAMONDS',   'SYSTEM', 'Diamonds Bonus Pool',       'a1000000-0000-0000-0000-000000000002'),
+    ('b1000000-0000-0000-0000-000000000008', 'SYSTEM_REVENUE_LOYALTY',  'SYSTEM', 'Loyalty Points Revenue',    'a1000000-0000-0000-0000-000000000003'),
+    ('b1000000-0000-0000-0000-000000000009', 'SYSTEM_BONUS_LOYALTY',    'SYSTEM', 'Loyalty Points Bonus Pool', 'a1000000-0000-0000-0000-000000000003')
+ON CONFLICT (external_id) DO NOTHING;
+
+INSERT INTO account_balances (account_id, asset_type_id, balance)
+VALUES
+    ('b1000000-0000-0000-0000-000000000006', 'a1000000-0000-0000-0000-000000000002', 0),
+    ('b1000000-0000-0000-0000-000000000007', 'a1000000-0000-0000-0000-000000000002', 0),
+    ('b1000000-0000-0000-0000-000000000008', 'a1000000-0000-0000-0000-000000000003', 0),
+    ('b1000000-0000-0000-0000-000000000009', 'a1000000-0000-0000-0000-000000000003', 0)
+ON CONFLICT (account_id) DO NOTHING;
+
+INSERT INTO system_accounts (asset_type_id, role, account_id)
+VALUES
+    -- Gold Coins
+    ('a1000000-0000-0000-0000-000000000001', 'TREASURY',   'b1000000-0000-0000-0000-000000000001'),
+    ('a1000000-0000-0000-0000-000000000001', 'REVENUE',    'b1000000-0000-0000-0000-000000000004'),
+    ('a1000000-0000-0000-0000-000000000001', 'BONUS_POOL', 'b1000000-0000-0000-0000-000000000005'),
+    -- Diamonds
+    ('a1000000-0000-0000-0000-000000000002', 'TREASURY',   'b1000000-0000-0000-0000-000000000002'),
+    ('a1000000-0000-0000-0000-000000000002', 'REVENUE',    'b1000000-0000-0000-0000-000000000006'),
+    ('a1000000-0000-0000-0000-000000000002', 'BONUS_POOL', 'b1000000-0000-0000-0000-000000000007'),
+    -- Loyalty Points
+    ('a1000000-0000-0000-0000-000000000003', 'TREASURY',   'b1000000-0000-0000-0000-000000000003'),
+    ('a1000000-0000-0000-0000-000000000003', 'REVENUE',    'b1000000-0000-0000-0000-000000000008'),
+    ('a1000000-0000-0000-0000-000000000003', 'BONUS_POOL', 'b1000000-0000-0000-0000-000000000009')
+ON CONFLICT (asset_type_id, role) DO NOTHING;
@@ -0,0 +1,8 @@
+-- Revert 005_wallets_per_asset.sql
+-- Fails, changing nothing, while any user holds wallets of more than one
+-- asset: those wallets have to be merged or closed first.
+
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_external_id_asset_type_key;
+
+ALTER TABLE accounts
+    ADD CONSTRAINT accounts_external_id_key UNIQUE (external_id);
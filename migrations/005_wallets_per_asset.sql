@@ -0,0 +1,8 @@
+-- One wallet per (user, asset)
+-- A player known by a single auth ID can hold a Gold Coins, a Diamonds and
+-- a Loyalty Points wallet side by side, but never two wallets of one asset.
+
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_external_id_key;
+
+ALTER TABLE accounts
+    ADD CONSTRAINT accounts_external_id_asset_type_key UNIQUE (external_id, asset_type_id);
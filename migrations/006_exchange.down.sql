@@ -0,0 +1,5 @@
+-- Revert 006_exchange.sql
+-- Every exchange rate is lost. EXCHANGE stays in transaction_type, since
+-- Postgres cannot drop an enum value.
+
+DROP TABLE IF EXISTS exchange_rates;
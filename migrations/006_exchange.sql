@@ -0,0 +1,37 @@
+-- Currency exchange between asset types
+-- Run this AFTER 002_seed.sql (seeds a rate between seeded asset types)
+
+-- TRANSACTION TYPES
+-- User converts one asset into another (e.g. Diamonds → Gold Coins).
+-- Four ledger entries: user → source-asset treasury, target-asset treasury → user.
+
+ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'EXCHANGE';
+
+
+-- EXCHANGE RATES
+-- Versioned and append-only: a rate change inserts a new version rather
+-- than updating the old row, so every EXCHANGE transaction can point at
+-- the exact rate it used (stored in transactions.metadata).
+--
+-- 1 unit of from_asset = `rate` units of to_asset.
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id                  UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_asset_type_id  UUID NOT NULL REFERENCES asset_types(id),
+    to_asset_type_id    UUID NOT NULL REFERENCES asset_types(id),
+    rate                NUMERIC(20, 8) NOT NULL CHECK (rate > 0),
+    version             INT NOT NULL,
+    effective_from      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    UNIQUE (from_asset_type_id, to_asset_type_id, version),
+    CHECK (from_asset_type_id <> to_asset_type_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair
+    ON exchange_rates(from_asset_type_id, to_asset_type_id, effective_from DESC);
+
+-- 1 Diamond = 100 Gold Coins
+INSERT INTO exchange_rates (from_asset_type_id, to_asset_type_id, rate, version)
+VALUES ('a1000000-0000-0000-0000-000000000002', 'a1000000-0000-0000-0000-000000000001', 100, 1)
+ON CONFLICT (from_asset_type_id, to_asset_type_id, version) DO NOTHING;
@@ -0,0 +1,7 @@
+-- Revert 007_reversals.sql
+-- REVERSAL transactions lose the link to what they undo. REVERSAL stays in
+-- transaction_type, since Postgres cannot drop an enum value.
+
+DROP INDEX IF EXISTS idx_transactions_reverses;
+
+ALTER TABLE transactions DROP COLUMN IF EXISTS reverses_transaction_id;
@@ -0,0 +1,13 @@
+-- Refunds and reversals
+-- A reversal posts mirror-image ledger entries for (part of) an earlier
+-- transaction. The original is never modified — the ledger stays append-only.
+
+ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'REVERSAL';
+
+-- Link from a REVERSAL back to the transaction it undoes
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS reverses_transaction_id UUID REFERENCES transactions(id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_reverses
+    ON transactions(reverses_transaction_id)
+    WHERE reverses_transaction_id IS NOT NULL;
@@ -0,0 +1,8 @@
+-- Revert 008_holds.sql
+-- Authorized holds are dropped and their funds become spendable again;
+-- the hold history is lost.
+
+DROP TABLE IF EXISTS holds;
+DROP TYPE  IF EXISTS hold_status;
+
+ALTER TABLE account_balances DROP COLUMN IF EXISTS held;
@@ -0,0 +1,48 @@
+-- Two-phase holds (authorize / capture / void)
+-- A hold reserves part of a USER balance before a purchase completes.
+-- Reserved funds stay in the balance (nothing is posted to the ledger)
+-- but can no longer be spent, transferred or exchanged.
+
+-- Sum of all AUTHORIZED holds on the account.
+-- Available balance = balance - held.
+ALTER TABLE account_balances
+    ADD COLUMN IF NOT EXISTS held NUMERIC(20, 8) NOT NULL DEFAULT 0 CHECK (held >= 0);
+
+
+-- HOLD STATUS
+--   AUTHORIZED → CAPTURED (turned into a SPEND)
+--   AUTHORIZED → VOIDED   (released by the caller)
+--   AUTHORIZED → EXPIRED  (released by the sweeper after expires_at)
+
+CREATE TYPE hold_status AS ENUM ('AUTHORIZED', 'CAPTURED', 'VOIDED', 'EXPIRED');
+
+
+-- HOLDS
+
+CREATE TABLE IF NOT EXISTS holds (
+    id                      UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id              UUID NOT NULL REFERENCES accounts(id),
+    asset_type_id           UUID NOT NULL REFERENCES asset_types(id),
+    amount                  NUMERIC(20, 8) NOT NULL CHECK (amount > 0),
+    captured_amount         NUMERIC(20, 8),
+    status                  hold_status NOT NULL DEFAULT 'AUTHORIZED',
+    reference_id            VARCHAR(255) UNIQUE NOT NULL, -- Idempotency key of the authorization
+    description             TEXT,
+    metadata                JSONB DEFAULT '{}',
+    expires_at              TIMESTAMPTZ NOT NULL,
+    capture_transaction_id  UUID REFERENCES transactions(id),
+    resolved_at             TIMESTAMPTZ,
+    created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at              TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_holds_account ON holds(account_id);
+
+-- The sweeper only ever scans authorized holds by expiry
+CREATE INDEX IF NOT EXISTS idx_holds_expiring
+    ON holds(expires_at)
+    WHERE status = 'AUTHORIZED';
+
+CREATE TRIGGER holds_updated_at
+    BEFORE UPDATE ON holds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+-- Revert 009_journal.sql
+-- Postgres cannot drop an enum value: ADJUSTMENT stays in transaction_type,
+-- unused by code before this migration. Running 009 again is a no-op.
+
+SELECT 1;
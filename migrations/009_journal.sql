@@ -0,0 +1,6 @@
+-- Manual journal adjustments (admin)
+-- Multi-leg postings that don't fit the standard flows — moving Gold from
+-- the Bonus Pool to Revenue, correcting a bad seed, etc. The mandatory
+-- reason is kept in the transaction's description and metadata.reason.
+
+ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'ADJUSTMENT';
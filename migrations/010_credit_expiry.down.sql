@@ -0,0 +1,7 @@
+-- Revert 010_credit_expiry.sql
+-- Credit lots are lost, so no credit expires any more. EXPIRY stays in
+-- transaction_type, since Postgres cannot drop an enum value.
+
+DROP TABLE IF EXISTS credit_lots;
+
+ALTER TABLE asset_types DROP COLUMN IF EXISTS credit_ttl_days;
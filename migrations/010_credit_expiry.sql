@@ -0,0 +1,41 @@
+-- Expiring credits (Loyalty Points)
+-- Assets with a credit_ttl_days expire that many days after they are earned.
+-- Every credit to a USER wallet of such an asset opens a lot; debits consume
+-- the oldest lots first (FIFO), and the expiry sweeper posts an EXPIRY
+-- transaction back to the asset's treasury for whatever is left in lots
+-- past their expires_at.
+
+ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'EXPIRY';
+
+-- NULL = credits of this asset never expire
+ALTER TABLE asset_types
+    ADD COLUMN IF NOT EXISTS credit_ttl_days INTEGER CHECK (credit_ttl_days > 0);
+
+UPDATE asset_types SET credit_ttl_days = 365 WHERE code = 'LOYALTY_POINTS';
+
+
+-- CREDIT LOTS
+-- One row per credit received. remaining drops as debits consume the lot.
+-- Balances that predate this table have no lots and never expire, so the
+-- sum of remaining can be lower than the wallet balance, never higher.
+
+CREATE TABLE IF NOT EXISTS credit_lots (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id      UUID NOT NULL REFERENCES accounts(id),
+    asset_type_id   UUID NOT NULL REFERENCES asset_types(id),
+    transaction_id  UUID NOT NULL REFERENCES transactions(id), -- Credit that opened the lot
+    amount          NUMERIC(20, 8) NOT NULL CHECK (amount > 0),
+    remaining       NUMERIC(20, 8) NOT NULL CHECK (remaining >= 0 AND remaining <= amount),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- FIFO consumption and upcoming-expiry lookups, per account
+CREATE INDEX IF NOT EXISTS idx_credit_lots_open
+    ON credit_lots(account_id, expires_at)
+    WHERE remaining > 0;
+
+-- The sweeper scans open lots by expiry across all accounts
+CREATE INDEX IF NOT EXISTS idx_credit_lots_expiring
+    ON credit_lots(expires_at)
+    WHERE remaining > 0;
@@ -0,0 +1,4 @@
+-- Revert 011_api_clients.sql
+-- Every registered client and its key is lost.
+
+DROP TABLE IF EXISTS api_clients;
@@ -0,0 +1,20 @@
+-- Service-to-service authentication
+-- Every caller of /api/v1/wallet is a registered client holding an API key.
+-- Only the SHA-256 of the key is stored; the key itself is shown once, when
+-- the client is created (scripts/createClient.js).
+--
+-- Scopes gate routes, e.g. wallet:spend, wallet:bonus, admin:read.
+
+CREATE TABLE IF NOT EXISTS api_clients (
+    id            VARCHAR(100) PRIMARY KEY,          -- e.g. 'game-server'; stamped on transaction metadata
+    name          VARCHAR(255) NOT NULL,
+    key_hash      CHAR(64) UNIQUE NOT NULL,          -- hex SHA-256 of the API key
+    scopes        TEXT[] NOT NULL DEFAULT '{}',
+    is_active     BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER api_clients_updated_at
+    BEFORE UPDATE ON api_clients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
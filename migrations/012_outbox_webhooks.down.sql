@@ -0,0 +1,7 @@
+-- Revert 012_outbox_webhooks.sql
+-- Undelivered events and the delivery history are lost.
+
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TYPE  IF EXISTS delivery_status;
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS outbox_events;
@@ -0,0 +1,76 @@
+-- Transactional outbox and webhook delivery
+-- Wallet flows write an event row in the same database transaction that
+-- posts the ledger entries, so an event exists if and only if the money
+-- moved. A background dispatcher fans events out to registered webhooks
+-- and delivers them with retries.
+
+
+-- OUTBOX EVENTS
+-- dispatched_at is set once the event has been fanned out into
+-- webhook_deliveries; delivery state lives there, per webhook.
+
+CREATE TABLE IF NOT EXISTS outbox_events (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type      VARCHAR(100) NOT NULL,              -- e.g. 'wallet.top_up'
+    transaction_id  UUID REFERENCES transactions(id),
+    payload         JSONB NOT NULL,
+    dispatched_at   TIMESTAMPTZ,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_pending
+    ON outbox_events(created_at)
+    WHERE dispatched_at IS NULL;
+
+
+-- WEBHOOKS
+-- secret signs every delivery (HMAC-SHA256), so it is kept in the clear.
+-- An empty event_types array subscribes to every event.
+
+CREATE TABLE IF NOT EXISTS webhooks (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    url          TEXT NOT NULL,
+    secret       VARCHAR(100) NOT NULL,
+    event_types  TEXT[] NOT NULL DEFAULT '{}',
+    description  TEXT,
+    is_active    BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER webhooks_updated_at
+    BEFORE UPDATE ON webhooks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+
+-- WEBHOOK DELIVERIES
+--   PENDING → DELIVERED (2xx response)
+--   PENDING → DEAD      (attempts exhausted; dead-letter, replayable)
+
+CREATE TYPE delivery_status AS ENUM ('PENDING', 'DELIVERED', 'DEAD');
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id          UUID NOT NULL REFERENCES outbox_events(id),
+    webhook_id        UUID NOT NULL REFERENCES webhooks(id),
+    status            delivery_status NOT NULL DEFAULT 'PENDING',
+    attempts          INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_status_code  INTEGER,
+    last_error        TEXT,
+    delivered_at      TIMESTAMPTZ,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (event_id, webhook_id)
+);
+
+-- The dispatcher only ever scans pending deliveries by due time
+CREATE INDEX IF NOT EXISTS idx_deliveries_due
+    ON webhook_deliveries(next_attempt_at)
+    WHERE status = 'PENDING';
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_status ON webhook_deliveries(status);
+
+CREATE TRIGGER webhook_deliveries_updated_at
+    BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
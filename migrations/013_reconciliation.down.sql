@@ -0,0 +1,7 @@
+-- Revert 013_reconciliation.sql
+-- Stored reconciliation runs are lost.
+
+DROP TABLE IF EXISTS reconciliation_runs;
+
+DROP INDEX IF EXISTS idx_ledger_account_seq;
+ALTER TABLE ledger_entries DROP COLUMN IF EXISTS seq;
@@ -0,0 +1,41 @@
+-- Full-ledger reconciliation
+-- A run checks every account and transaction at once:
+--   1. cache      — account_balances.balance equals the account's ledger sum
+--   2. zero-sum   — every transaction's entries sum to zero, per asset
+--   3. chain      — each entry's balance_after equals the previous entry's
+--                   balance_after minus its amount, per account
+-- and stores the outcome here, with (capped) details of every mismatch.
+
+
+-- Posting order of ledger entries. created_at is the transaction's start
+-- time, so two postings to one account can carry timestamps in the reverse
+-- of the order they were applied; seq is assigned at insert, while the
+-- account's balance row is locked, so it follows the balance_after chain.
+-- Existing rows are numbered in storage order, which for this append-only
+-- table is insertion order.
+
+ALTER TABLE ledger_entries
+    ADD COLUMN IF NOT EXISTS seq BIGINT GENERATED ALWAYS AS IDENTITY;
+
+CREATE INDEX IF NOT EXISTS idx_ledger_account_seq ON ledger_entries(account_id, seq);
+
+
+-- RECONCILIATION RUNS
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id                       UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    triggered_by             VARCHAR(100) NOT NULL,   -- API client ID, or 'scheduler'
+    accounts_checked         INTEGER NOT NULL,
+    transactions_checked     INTEGER NOT NULL,
+    cache_mismatches         INTEGER NOT NULL,
+    unbalanced_transactions  INTEGER NOT NULL,
+    chain_breaks             INTEGER NOT NULL,
+    is_consistent            BOOLEAN NOT NULL,
+    rebuild                  BOOLEAN NOT NULL DEFAULT FALSE, -- Opt-in: cache rewritten from the ledger
+    rebuilt_accounts         INTEGER NOT NULL DEFAULT 0,
+    mismatches               JSONB NOT NULL DEFAULT '{}',    -- { cache: [...], unbalanced: [...], chain: [...] }
+    started_at               TIMESTAMPTZ NOT NULL,
+    finished_at              TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started ON reconciliation_runs(started_at DESC);
@@ -0,0 +1,15 @@
+-- Revert 014_ledger_invariants.sql
+-- postLedgerEntries keeps enforcing both money rules; only the database
+-- backstop goes away.
+
+DROP TRIGGER IF EXISTS transactions_no_truncate   ON transactions;
+DROP TRIGGER IF EXISTS transactions_append_only   ON transactions;
+DROP TRIGGER IF EXISTS ledger_entries_no_truncate ON ledger_entries;
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+DROP FUNCTION IF EXISTS reject_ledger_modification();
+
+DROP TRIGGER IF EXISTS account_balances_non_negative ON account_balances;
+DROP FUNCTION IF EXISTS check_user_balance_non_negative();
+
+DROP TRIGGER IF EXISTS ledger_entries_balanced ON ledger_entries;
+DROP FUNCTION IF EXISTS check_transaction_balanced();
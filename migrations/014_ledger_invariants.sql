@@ -0,0 +1,82 @@
+-- Database-enforced ledger invariants
+-- postLedgerEntries already checks both money rules before writing; these
+-- triggers are the backstop for anything that bypasses it (a bug in a new
+-- flow, a manual fix in psql). They should never fire in normal operation.
+
+
+-- 1. ZERO-SUM: a transaction's entries sum to zero, per asset.
+-- Deferred to COMMIT, since the legs of a posting are inserted one by one
+-- and only balance once the last is in.
+
+CREATE OR REPLACE FUNCTION check_transaction_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_sum NUMERIC;
+BEGIN
+    SELECT SUM(amount) INTO v_sum
+    FROM ledger_entries
+    WHERE transaction_id = NEW.transaction_id AND asset_type_id = NEW.asset_type_id;
+
+    IF v_sum <> 0 THEN
+        RAISE EXCEPTION 'Ledger entries of transaction % do not sum to zero for asset % (sum %)',
+            NEW.transaction_id, NEW.asset_type_id, v_sum
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER ledger_entries_balanced
+    AFTER INSERT ON ledger_entries
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_transaction_balanced();
+
+
+-- 2. NON-NEGATIVE: USER balances never drop below zero.
+-- System accounts are exempt — they represent the supply and go negative.
+
+CREATE OR REPLACE FUNCTION check_user_balance_non_negative()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.balance < 0 AND EXISTS (
+        SELECT 1 FROM accounts WHERE id = NEW.account_id AND account_type = 'USER'
+    ) THEN
+        RAISE EXCEPTION 'USER account % cannot have a negative balance (%)', NEW.account_id, NEW.balance
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER account_balances_non_negative
+    BEFORE INSERT OR UPDATE OF balance ON account_balances
+    FOR EACH ROW EXECUTE FUNCTION check_user_balance_non_negative();
+
+
+-- 3. APPEND-ONLY: ledger_entries and transactions are never modified.
+-- Corrections are new transactions (REVERSAL, ADJUSTMENT).
+
+CREATE OR REPLACE FUNCTION reject_ledger_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only: % is not allowed', TG_TABLE_NAME, TG_OP
+        USING ERRCODE = 'insufficient_privilege',
+              HINT    = 'Post a compensating transaction instead';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_entries_append_only
+    BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION reject_ledger_modification();
+
+CREATE TRIGGER ledger_entries_no_truncate
+    BEFORE TRUNCATE ON ledger_entries
+    FOR EACH STATEMENT EXECUTE FUNCTION reject_ledger_modification();
+
+CREATE TRIGGER transactions_append_only
+    BEFORE UPDATE OR DELETE ON transactions
+    FOR EACH ROW EXECUTE FUNCTION reject_ledger_modification();
+
+CREATE TRIGGER transactions_no_truncate
+    BEFORE TRUNCATE ON transactions
+    FOR EACH STATEMENT EXECUTE FUNCTION reject_ledger_modification();
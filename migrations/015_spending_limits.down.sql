@@ -0,0 +1,4 @@
+-- Revert 015_spending_limits.sql
+-- Every configured limit is lost; spends are no longer capped.
+
+DROP TABLE IF EXISTS spending_limits;
@@ -0,0 +1,35 @@
+-- Spending limits and velocity controls
+-- Rules cap how fast a USER wallet can be spent from, so a compromised
+-- account can't be drained at the write rate limit. spendCredits checks
+-- them while holding the wallet's balance row lock, so concurrent spends
+-- can't slip past a limit together.
+--
+-- A rule is either an asset default (account_id NULL), applying to every
+-- wallet of that asset, or an override for one wallet. Each cap is
+-- resolved separately: the wallet's value if it sets one, else the asset's.
+-- NULL = no cap at that level.
+
+CREATE TABLE IF NOT EXISTS spending_limits (
+    id                   UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    asset_type_id        UUID NOT NULL REFERENCES asset_types(id),
+    account_id           UUID REFERENCES accounts(id),          -- NULL = asset default
+    max_per_transaction  NUMERIC(20, 8) CHECK (max_per_transaction > 0),
+    max_per_day          NUMERIC(20, 8) CHECK (max_per_day > 0),  -- Rolling 24 hours
+    max_count_per_hour   INTEGER CHECK (max_count_per_hour > 0),  -- Rolling 60 minutes
+    created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (max_per_transaction IS NOT NULL OR max_per_day IS NOT NULL OR max_count_per_hour IS NOT NULL)
+);
+
+-- One default per asset, one override per wallet
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spending_limits_asset
+    ON spending_limits(asset_type_id)
+    WHERE account_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spending_limits_account
+    ON spending_limits(account_id)
+    WHERE account_id IS NOT NULL;
+
+CREATE TRIGGER spending_limits_updated_at
+    BEFORE UPDATE ON spending_limits
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,11 @@
+-- Revert 016_account_status.sql
+-- FROZEN accounts become active again; the status history is lost.
+
+DROP TABLE IF EXISTS account_status_history;
+
+ALTER TABLE accounts DROP COLUMN is_active;
+ALTER TABLE accounts ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE;
+UPDATE accounts SET is_active = FALSE WHERE status = 'CLOSED';
+
+ALTER TABLE accounts DROP COLUMN status;
+DROP TYPE IF EXISTS account_status;
@@ -0,0 +1,39 @@
+-- Account status: ACTIVE, FROZEN, CLOSED
+-- is_active could only hide an account entirely. A FROZEN wallet stays
+-- visible to every flow but may only receive: refunds, top-ups, bonuses
+-- and incoming transfers still land, while spends, outgoing transfers,
+-- exchanges and holds are rejected. CLOSED is the old is_active = FALSE.
+--
+--   ACTIVE ⇄ FROZEN      (freeze / unfreeze)
+--   ACTIVE | FROZEN → CLOSED  (deactivate; balance must be zero)
+--   CLOSED → ACTIVE      (reactivate)
+
+CREATE TYPE account_status AS ENUM ('ACTIVE', 'FROZEN', 'CLOSED');
+
+ALTER TABLE accounts
+    ADD COLUMN IF NOT EXISTS status account_status NOT NULL DEFAULT 'ACTIVE';
+
+UPDATE accounts SET status = 'CLOSED' WHERE is_active = FALSE;
+
+-- is_active stays, derived from status, so every "visible account" filter
+-- keeps working unchanged
+ALTER TABLE accounts DROP COLUMN is_active;
+ALTER TABLE accounts
+    ADD COLUMN is_active BOOLEAN GENERATED ALWAYS AS (status <> 'CLOSED') STORED;
+
+
+-- STATUS HISTORY
+-- One row per change: who made it (API client ID) and why.
+
+CREATE TABLE IF NOT EXISTS account_status_history (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id   UUID NOT NULL REFERENCES accounts(id),
+    from_status  account_status NOT NULL,
+    to_status    account_status NOT NULL,
+    reason       TEXT,
+    actor        VARCHAR(100) NOT NULL,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_status_history_account
+    ON account_status_history(account_id, created_at DESC);
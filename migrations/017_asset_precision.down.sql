@@ -0,0 +1,4 @@
+-- Revert 017_asset_precision.sql
+-- Every asset accepts 8 decimal places again.
+
+ALTER TABLE asset_types DROP COLUMN IF EXISTS precision;
@@ -0,0 +1,12 @@
+-- Per-asset precision
+-- The number of decimal places an amount of the asset may have. Amount
+-- columns stay NUMERIC(20, 8), the finest any asset can go; precision is
+-- what the API accepts for the asset. Amounts finer than it are rejected,
+-- not rounded, and exchange conversions round down to it.
+
+ALTER TABLE asset_types
+    ADD COLUMN IF NOT EXISTS precision SMALLINT NOT NULL DEFAULT 8
+        CHECK (precision BETWEEN 0 AND 8);
+
+-- Diamonds and Loyalty Points only ever move in whole units
+UPDATE asset_types SET precision = 0 WHERE code IN ('DIAMONDS', 'LOYALTY_POINTS');
@@ -0,0 +1,4 @@
+-- Revert 018_idempotency_fingerprint.sql
+-- Keys are matched on referenceId alone again.
+
+ALTER TABLE idempotency_keys DROP COLUMN IF EXISTS request_hash;
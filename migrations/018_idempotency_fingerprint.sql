@@ -0,0 +1,9 @@
+-- Idempotency key fingerprints
+-- request_hash is the SHA-256 of the request a key was first used with
+-- (flow, parameters, metadata). A later request under the same key must
+-- match it to be replayed; a different request is rejected with
+-- IDEMPOTENCY_KEY_REUSED instead of silently getting the old response.
+-- Keys stored before this migration have no hash and replay as before.
+
+ALTER TABLE idempotency_keys
+    ADD COLUMN IF NOT EXISTS request_hash CHAR(64);
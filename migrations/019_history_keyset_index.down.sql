@@ -0,0 +1,5 @@
+-- Revert 019_history_keyset_index.sql
+
+CREATE INDEX IF NOT EXISTS idx_ledger_account_created ON ledger_entries(account_id, created_at DESC);
+
+DROP INDEX IF EXISTS idx_ledger_account_created_id;
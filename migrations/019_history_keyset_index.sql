@@ -0,0 +1,10 @@
+-- Keyset pagination of account history
+-- History pages walk an account's entries newest first by (created_at, id),
+-- resuming after the last entry of the previous page. This index serves
+-- both that order and the cursor's row comparison; it supersedes
+-- idx_ledger_account_created, which is its prefix.
+
+CREATE INDEX IF NOT EXISTS idx_ledger_account_created_id
+    ON ledger_entries(account_id, created_at DESC, id DESC);
+
+DROP INDEX IF EXISTS idx_ledger_account_created;
@@ -0,0 +1,5 @@
+-- Revert 020_seed_treasury_balances.sql
+-- Nothing to undo: the treasuries' cached balances now match their ledger,
+-- and putting the stale values back would only break reconciliation.
+
+SELECT 1;
@@ -0,0 +1,19 @@
+-- Seed treasury balances
+-- 002_seed.sql posts the opening balances of Alice, Bob and Charlie from
+-- the Gold Coins and Diamonds treasuries, but leaves both treasuries'
+-- cached balance at 0. Set them to their ledger sums, as a reconciliation
+-- rebuild would. Any later postings are already in both sides, so this
+-- is right whether the seed ran a minute or a year ago, and a no-op where
+-- the cache has been rebuilt since.
+
+UPDATE account_balances ab
+SET balance = l.ledger_balance, version = ab.version + 1, updated_at = NOW()
+FROM (
+    SELECT ab2.account_id, COALESCE(-SUM(le.amount), 0) AS ledger_balance
+    FROM account_balances ab2
+    LEFT JOIN ledger_entries le ON le.account_id = ab2.account_id
+    WHERE ab2.account_id IN ('b1000000-0000-0000-0000-000000000001', 'b1000000-0000-0000-0000-000000000002')
+    GROUP BY ab2.account_id
+) l
+WHERE ab.account_id = l.account_id
+  AND ab.balance <> l.ledger_balance;
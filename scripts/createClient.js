@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+'use strict';
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { pool } = require('../src/config/database');
+const { SCOPES, hashApiKey } = require('../src/middleware/auth');
+
+// Registers an API client and prints its key. The key is shown only here;
+// the database keeps its SHA-256.
+//
+//   node scripts/createClient.js <clientId> "<name>" <scope>[,<scope>...]
+//   node scripts/createClient.js game-server "Game Server" wallet:read,wallet:spend
+
+async function createClient(id, name, scopes) {
+  const apiKey = `wsk_${crypto.randomBytes(32).toString('base64url')}`;
+
+  await pool.query(
+    `INSERT INTO api_clients (id, name, key_hash, scopes)
+     VALUES ($1, $2, $3, $4)`,
+    [id, name, hashApiKey(apiKey), scopes]
+  );
+
+  return apiKey;
+}
+
+async function main() {
+  const [id, name, scopeList] = process.argv.slice(2);
+  if (!id || !name || !scopeList) {
+    console.error('Usage: node scripts/createClient.js <clientId> "<name>" <scope>[,<scope>...]');
+    console.error(`Scopes: ${SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const scopes  = scopeList.split(',').map((s) => s.trim());
+  const unknown = scopes.filter((s) => !SCOPES.includes(s));
+  if (unknown.length) {
+    console.error(`❌ Unknown scope(s): ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  const apiKey = await createClient(id, name, scopes);
+  console.log(`✅ Client ${id} created with scopes: ${scopes.join(', ')}`);
+  console.log(`   API key (store it now, it cannot be shown again): ${apiKey}`);
+  await pool.end();
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Failed to create client:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createClient };
@@ -1,71 +1,380 @@
-// #!/usr/bin/env node
-// 'use strict';
+#!/usr/bin/env node
+'use strict';
 
-// require('dotenv').config();
+require('dotenv').config();
 
-// const { Pool } = require('pg');
-// const fs       = require('fs');
-// const path     = require('path');
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const { pool } = require('../src/config/database');
 
-// const pool = new Pool({
-//   host:     process.env.DB_HOST     || 'localhost',
-//   port:     parseInt(process.env.DB_PORT || '5432'),
-//   database: process.env.DB_NAME     || 'wallet_service',
-//   user:     process.env.DB_USER     || 'postgres',
-//   password: process.env.DB_PASSWORD || 'postgres',
-// });
+// MIGRATION RUNNER
+// Applies every numbered file in migrations/ (NNN_name.sql) in order, each
+// in its own transaction together with its schema_migrations row, which
+// records the file's SHA-256. Applied files are skipped; an applied file
+// whose contents changed is an error — add a new migration instead.
+//
+// A session-level advisory lock is held for the whole run, so app instances
+// starting together (RUN_MIGRATIONS=true) apply each file exactly once: the
+// others wait, then find nothing pending.
+//
+// Down migrations live next to their up file as NNN_name.down.sql. Files
+// without one (e.g. those adding enum values, which Postgres can't drop)
+// are irreversible.
+//
+//   node scripts/migrate.js [up]                  apply pending migrations
+//   node scripts/migrate.js down [--steps N]      revert the last N (default 1)
+//   node scripts/migrate.js status                list applied / pending
+//   node scripts/migrate.js baseline <version>    record 001..<version> as applied
+//                                                 without running them
+//   --dry-run                                     print the plan, change nothing
 
-// async function migrate() {
-//   const migrationsDir = path.join(__dirname, '../migrations');
-//   const files = fs.readdirSync(migrationsDir)
-//     .filter((f) => f.endsWith('.sql'))
-//     .sort(); // Run in alphabetical order (001_, 002_, etc.)
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE = /^(\d+)_(.+?)(\.down)?\.sql$/;
+const LOCK_NAME      = 'wallet_service:migrations';
 
-//   console.log(`\n📦 Running ${files.length} migration file(s)...\n`);
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
 
-//   for (const file of files) {
-//     const filePath = path.join(migrationsDir, file);
-//     const sql      = fs.readFileSync(filePath, 'utf8');
+/**
+ * Numbered migrations on disk, in order, with their down files if any.
+ * @returns {Array<{ version, name, file, sql, checksum, downFile }>}
+ */
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter((f) => MIGRATION_FILE.test(f));
+  const downs = new Set(files.filter((f) => f.endsWith('.down.sql')));
 
-//     console.log(`  ▶ Applying: ${file}`);
-//     try {
-//       await pool.query(sql);
-//       console.log(`  ✅ Done: ${file}\n`);
-//     } catch (err) {
-//       console.error(`  ❌ Failed: ${file}`);
-//       console.error(`     Error:  ${err.message}\n`);
-//       process.exit(1);
-//     }
-//   }
+  return files
+    .filter((f) => !downs.has(f))
+    .sort()
+    .map((file) => {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const sql      = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const downFile = `${version}_${name}.down.sql`;
+      return {
+        version,
+        name,
+        file,
+        sql,
+        checksum: checksum(sql),
+        downFile: downs.has(downFile) ? downFile : null,
+      };
+    });
+}
 
-//   console.log('✅ All migrations applied successfully.\n');
-//   await pool.end();
-// }
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version       VARCHAR(20) PRIMARY KEY,
+       name          VARCHAR(255) NOT NULL,
+       checksum      CHAR(64) NOT NULL,
+       execution_ms  INTEGER NOT NULL DEFAULT 0,
+       applied_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+}
 
-// migrate().catch((err) => {
-//   console.error('Migration error:', err);
-//   process.exit(1);
-// });
+/**
+ * Applied migrations by version. Without the table (fresh database, or a
+ * dry run before the first migration) nothing is applied.
+ */
+async function loadApplied(client) {
+  const { rows: [{ exists }] } = await client.query(
+    `SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`
+  );
+  if (!exists) return new Map();
 
+  const { rows } = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`
+  );
+  return new Map(rows.map((r) => [r.version, r]));
+}
 
+/**
+ * Applied files must be unchanged, and a database that predates this runner
+ * must be baselined first rather than having 001 re-run against it.
+ */
+async function verifyApplied(client, migrations, applied) {
+  const changed = migrations.filter(
+    (m) => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum
+  );
+  if (changed.length) {
+    const err = new Error(
+      `Applied migration(s) changed on disk: ${changed.map((m) => m.file).join(', ')}. ` +
+      'Revert the edit and add a new migration instead.'
+    );
+    err.code = 'MIGRATION_CHECKSUM_MISMATCH';
+    throw err;
+  }
 
-'use strict';
+  if (!applied.size) {
+    const { rows: [{ exists }] } = await client.query(
+      `SELECT to_regclass('accounts') IS NOT NULL AS exists`
+    );
+    if (exists) {
+      const err = new Error(
+        'Database has a schema but no migration history. Record what it already has with ' +
+        '`node scripts/migrate.js baseline <version>`, then run the migrations again.'
+      );
+      err.code = 'MIGRATION_BASELINE_REQUIRED';
+      throw err;
+    }
+  }
+}
 
-const fs = require('fs');
-const path = require('path');
-const { pool } = require('../src/config/database');
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
 
-async function runMigrations() {
-  console.log('⏳ Running schema migration...');
+/**
+ * Run `fn` on a dedicated connection holding the migration lock.
+ */
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock(hashtext($1))`, [LOCK_NAME]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock(hashtext($1))`, [LOCK_NAME]);
+    }
+  } finally {
+    client.release();
+  }
+}
 
-  const sql = fs.readFileSync(
-    path.join(__dirname, '../migrations/001_schema.sql'),
-    'utf8'
-  );
 
-  await pool.query(sql);
+// COMMANDS
+
+/**
+ * Apply every pending migration, in order.
+ * @returns {string[]} files applied (or, with dryRun, that would be)
+ */
+async function runMigrations({ dryRun = false } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await loadApplied(client);
+    await verifyApplied(client, migrations, applied);
+
+    const pending = migrations.filter((m) => !applied.has(m.version));
+    if (!pending.length) {
+      console.log('✅ Schema is up to date');
+      return [];
+    }
+
+    if (dryRun) {
+      console.log(`📋 ${pending.length} migration(s) would be applied:`);
+      for (const m of pending) console.log(`   ${m.file}`);
+      return pending.map((m) => m.file);
+    }
+
+    await ensureMigrationsTable(client);
+    console.log(`⏳ Applying ${pending.length} migration(s)...`);
+
+    for (const m of pending) {
+      const startedAt = Date.now();
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(m.sql);
+          await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+             VALUES ($1, $2, $3, $4)`,
+            [m.version, m.name, m.checksum, Date.now() - startedAt]
+          );
+        });
+      } catch (err) {
+        console.error(`❌ Failed: ${m.file}`);
+        throw err;
+      }
+      console.log(`   ✅ ${m.file} (${Date.now() - startedAt}ms)`);
+    }
+
+    console.log('✅ Schema migration completed');
+    return pending.map((m) => m.file);
+  });
+}
+
+/**
+ * Revert the last `steps` applied migrations, newest first. Stops before
+ * touching anything if one of them has no down file.
+ * @returns {string[]} down files run (or, with dryRun, that would be)
+ */
+async function revertMigrations({ steps = 1, dryRun = false } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await loadApplied(client);
+    await verifyApplied(client, migrations, applied);
+
+    const targets = migrations
+      .filter((m) => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    if (!targets.length) {
+      console.log('✅ Nothing to revert');
+      return [];
+    }
+
+    const irreversible = targets.filter((m) => !m.downFile);
+    if (irreversible.length) {
+      const err = new Error(
+        `Cannot revert past ${irreversible.map((m) => m.file).join(', ')}: no down migration. ` +
+        'Nothing was reverted; lower --steps, or restore a backup to go back further.'
+      );
+      err.code = 'MIGRATION_IRREVERSIBLE';
+      throw err;
+    }
+
+    if (dryRun) {
+      console.log(`📋 ${targets.length} migration(s) would be reverted:`);
+      for (const m of targets) console.log(`   ${m.downFile}`);
+      return targets.map((m) => m.downFile);
+    }
+
+    console.log(`⏳ Reverting ${targets.length} migration(s)...`);
+
+    for (const m of targets) {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, m.downFile), 'utf8');
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(sql);
+          await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version]);
+        });
+      } catch (err) {
+        console.error(`❌ Failed: ${m.downFile}`);
+        throw err;
+      }
+      console.log(`   ↩️  ${m.file}`);
+    }
+
+    console.log('✅ Revert completed');
+    return targets.map((m) => m.downFile);
+  });
+}
+
+/**
+ * Record migrations up to and including `version` as applied, without
+ * running them — for databases set up before this runner existed.
+ */
+async function baselineMigrations(version, { dryRun = false } = {}) {
+  const migrations = loadMigrations();
+  if (!migrations.some((m) => m.version === version)) {
+    const err = new Error(`Unknown migration version: ${version}`);
+    err.code = 'MIGRATION_NOT_FOUND';
+    throw err;
+  }
+
+  return withMigrationLock(async (client) => {
+    const applied = await loadApplied(client);
+    const targets = migrations.filter((m) => m.version <= version && !applied.has(m.version));
+
+    if (dryRun) {
+      console.log(`📋 ${targets.length} migration(s) would be recorded as applied:`);
+      for (const m of targets) console.log(`   ${m.file}`);
+      return targets.map((m) => m.file);
+    }
+
+    await ensureMigrationsTable(client);
+    for (const m of targets) {
+      await client.query(
+        `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+        [m.version, m.name, m.checksum]
+      );
+    }
+
+    console.log(`✅ Baselined ${targets.length} migration(s) up to ${version}`);
+    return targets.map((m) => m.file);
+  });
+}
+
+async function printStatus() {
+  const migrations = loadMigrations();
+  const client     = await pool.connect();
+  let applied;
+  try {
+    applied = await loadApplied(client);
+  } finally {
+    client.release();
+  }
+
+  console.log('📋 Migrations:');
+  for (const m of migrations) {
+    const row = applied.get(m.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === m.checksum
+        ? `applied ${row.applied_at.toISOString()}`
+        : 'applied, CHANGED ON DISK';
+    }
+    console.log(`   ${m.file.padEnd(36)} ${state}${m.downFile ? '' : '  (irreversible)'}`);
+  }
+
+  const onDisk = new Set(migrations.map((m) => m.version));
+  for (const row of applied.values()) {
+    if (!onDisk.has(row.version)) {
+      console.log(`   ${`${row.version}_${row.name}.sql`.padEnd(36)} applied, MISSING ON DISK`);
+    }
+  }
+}
+
+
+// CLI
+
+function parseArgs(argv) {
+  const args = { command: 'up', dryRun: false, steps: 1, version: null };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--steps') args.steps = parseInt(argv[++i], 10);
+    else positional.push(argv[i]);
+  }
+
+  if (positional.length) args.command = positional[0];
+  args.version = positional[1] || null;
+  return args;
+}
+
+async function main() {
+  const { command, dryRun, steps, version } = parseArgs(process.argv.slice(2));
+
+  if (command === 'up') {
+    await runMigrations({ dryRun });
+  } else if (command === 'down') {
+    if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps must be a positive integer');
+    await revertMigrations({ steps, dryRun });
+  } else if (command === 'status') {
+    await printStatus();
+  } else if (command === 'baseline' && version) {
+    await baselineMigrations(version, { dryRun });
+  } else {
+    console.error('Usage: node scripts/migrate.js [up|down [--steps N]|status|baseline <version>] [--dry-run]');
+    process.exit(1);
+  }
+
+  await pool.end();
+}
 
-  console.log('✅ Schema migration completed');
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
 }
 
-module.exports = { runMigrations };
\ No newline at end of file
+module.exports = {
+  loadMigrations,
+  runMigrations,
+  revertMigrations,
+  baselineMigrations,
+};
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+'use strict';
+
+require('dotenv').config();
+
+const os       = require('os');
+const readline = require('readline');
+const Joi      = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../src/config/database');
+const walletService         = require('../src/services/walletService');
+const reconciliationService = require('../src/services/reconciliationService');
+const { schemas } = require('../src/middleware/validation');
+
+// WALLET CLI
+// Operator tool over walletService — the same flows, locks and checks as
+// the API, against the database configured for src/config/database.js
+// (DATABASE_URL, or DB_HOST / DB_NAME / ...).
+//
+// Every command that writes asks for confirmation (skip with --yes) and
+// needs --reason. Ledger writes record it as the transaction's description
+// and in its metadata, with the operator (WALLET_OPERATOR, or the OS user);
+// other writes echo it in their output.
+//
+//   wallet balance <accountId>
+//   wallet history <accountId> [--limit N] [--offset N | --cursor C] [--type TYPE] [--from T] [--to T]
+//   wallet audit <accountId>
+//   wallet create-account <externalId> <assetCode> [--name NAME] --reason "..."
+//   wallet topup <accountId> <amount> --reason "..." [--reference-id ID]
+//   wallet bonus <accountId> <amount> --reason "..." [--reference-id ID]
+//   wallet reverse <transactionId> [--amount N] --reason "..." [--reference-id ID]
+//   wallet reconcile [--rebuild --reason "..."]
+//
+//   --json   print the result as JSON instead of a table
+//   --yes    don't ask for confirmation
+
+const CLI_CLIENT_ID = 'wallet-cli';
+
+const reasonSchema = Joi.string().trim().min(3).max(500).required().messages({
+  'any.required': '--reason is required for commands that write',
+});
+
+function operatorName() {
+  return process.env.WALLET_OPERATOR || os.userInfo().username;
+}
+
+function check(schema, input) {
+  const { error, value } = schema.validate(input, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const err = new Error(error.details.map((d) => d.message).join('; '));
+    err.code = 'VALIDATION_ERROR';
+    throw err;
+  }
+  return value;
+}
+
+// Same rules as the API's request schemas
+function validate(schemaName, input) {
+  return check(schemas[schemaName], input);
+}
+
+function requireReason(opts) {
+  return check(reasonSchema, opts.reason);
+}
+
+/**
+ * Service input for a write: referenceId (generated unless given, so a
+ * retried command can pass the same one and stay idempotent), the reason
+ * as description, and who ran it in metadata.
+ */
+function writeParams(opts) {
+  const reason = requireReason(opts);
+  return {
+    referenceId: opts['reference-id'] || `cli:${uuidv4()}`,
+    description: reason,
+    metadata:    { reason, operator: operatorName(), clientId: CLI_CLIENT_ID },
+  };
+}
+
+async function describeAccount(accountId) {
+  const account = await walletService.getBalance(accountId);
+  return `${account.name} (${account.asset.code}, balance ${account.balance})`;
+}
+
+
+// COMMANDS
+// read-only commands run directly; write commands return { prompt, run }
+// so the prompt can be confirmed before anything is posted.
+
+const COMMANDS = {
+  balance: {
+    usage: 'balance <accountId>',
+    run:   ([accountId]) => walletService.getBalance(validate('getBalance', { accountId }).accountId),
+  },
+
+  history: {
+    usage: 'history <accountId> [--limit N] [--offset N | --cursor C] [--type TYPE] [--from T] [--to T]',
+    run:   ([accountId], opts) => {
+      const { accountId: id, ...options } = validate('getHistory', {
+        accountId,
+        limit:  opts.limit,
+        offset: opts.offset,
+        cursor: opts.cursor,
+        type:   opts.type,
+        from:   opts.from,
+        to:     opts.to,
+      });
+      return walletService.getTransactionHistory(id, options);
+    },
+  },
+
+  audit: {
+    usage: 'audit <accountId>',
+    run:   ([accountId]) => walletService.verifyLedgerIntegrity(validate('getBalance', { accountId }).accountId),
+  },
+
+  'create-account': {
+    usage: 'create-account <externalId> <assetCode> [--name NAME] --reason "..."',
+    write: async ([externalId, assetCode], opts) => {
+      const params = validate('createAccount', { externalId, assetCode, name: opts.name });
+      const reason = requireReason(opts);
+      return {
+        prompt: `Create a ${params.assetCode} wallet for ${params.externalId}`,
+        run:    async () => ({ ...(await walletService.createAccount(params)), reason }),
+      };
+    },
+  },
+
+  topup: {
+    usage: 'topup <accountId> <amount> --reason "..." [--reference-id ID]',
+    write: async ([accountId, amount], opts) => {
+      const params = validate('topUp', { accountId, amount, ...writeParams(opts) });
+      return {
+        prompt: `Top up ${params.amount} to ${await describeAccount(params.accountId)}`,
+        run:    () => walletService.topUpWallet(params),
+      };
+    },
+  },
+
+  bonus: {
+    usage: 'bonus <accountId> <amount> --reason "..." [--reference-id ID]',
+    write: async ([accountId, amount], opts) => {
+      const params = validate('bonus', { accountId, amount, ...writeParams(opts) });
+      return {
+        prompt: `Issue a bonus of ${params.amount} to ${await describeAccount(params.accountId)}`,
+        run:    () => walletService.issueBonus(params),
+      };
+    },
+  },
+
+  reverse: {
+    usage: 'reverse <transactionId> [--amount N] --reason "..." [--reference-id ID]',
+    write: async ([transactionId], opts) => {
+      const { transactionId: id } = validate('transactionParams', { transactionId });
+      const params = validate('reverse', { amount: opts.amount, ...writeParams(opts) });
+      return {
+        prompt: params.amount
+          ? `Reverse ${params.amount} of transaction ${id}`
+          : `Reverse the remainder of transaction ${id}`,
+        run:    () => walletService.reverseTransaction({ transactionId: id, ...params }),
+      };
+    },
+  },
+
+  reconcile: {
+    usage: 'reconcile [--rebuild --reason "..."]',
+    // Checking only records a run; --rebuild rewrites cached balances and
+    // goes through write()
+    run:   () => reconciliationService.runReconciliation({ triggeredBy: `cli:${operatorName()}` }),
+    write: async (args, opts) => {
+      const reason = requireReason(opts);
+      return {
+        prompt: 'Reconcile the full ledger and rewrite every mismatched cached balance from it',
+        run:    async () => ({
+          ...(await reconciliationService.runReconciliation({
+            rebuild:     true,
+            triggeredBy: `cli:${operatorName()}`,
+          })),
+          reason,
+        }),
+      };
+    },
+  },
+};
+
+function isWrite(name, opts) {
+  return name === 'reconcile' ? Boolean(opts.rebuild) : Boolean(COMMANDS[name].write);
+}
+
+
+// INPUT / OUTPUT
+
+const BOOLEAN_FLAGS = new Set(['json', 'yes', 'rebuild']);
+
+function parseArgs(argv) {
+  const args = [];
+  const opts = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.has(key)) opts[key] = true;
+    else opts[key] = inline !== undefined ? inline : argv[++i];
+  }
+
+  return { command: args.shift(), args, opts };
+}
+
+async function confirm(prompt) {
+  if (!process.stdin.isTTY) {
+    const err = new Error('Refusing to write without confirmation: not a terminal, pass --yes');
+    err.code = 'CONFIRMATION_REQUIRED';
+    throw err;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise((resolve) => rl.question(`${prompt}? [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function printRows(rows) {
+  if (!rows.length) {
+    console.log('  (none)');
+    return;
+  }
+
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  const cells   = rows.map((r) => columns.map((c) => formatValue(r[c])));
+  const widths  = columns.map((c, i) => Math.max(c.length, ...cells.map((row) => row[i].length)));
+  const line    = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns));
+  console.log(line(widths.map((w) => '─'.repeat(w))));
+  for (const row of cells) console.log(line(row));
+}
+
+/**
+ * Scalar fields as `key  value` lines, then each list field as a table.
+ */
+function printTable(result) {
+  const fields = Object.entries(result).filter(([, v]) => !Array.isArray(v));
+  const lists  = Object.entries(result).filter(([, v]) => Array.isArray(v));
+  const width  = Math.max(0, ...fields.map(([k]) => k.length));
+
+  for (const [key, value] of fields) console.log(`${key.padEnd(width)}  ${formatValue(value)}`);
+  for (const [key, rows] of lists) {
+    console.log(`\n${key}:`);
+    printRows(rows);
+  }
+}
+
+function usage() {
+  return [
+    'Usage: wallet <command> [args] [--json] [--yes]',
+    '',
+    ...Object.values(COMMANDS).map((c) => `  wallet ${c.usage}`),
+  ].join('\n');
+}
+
+
+// MAIN
+
+async function main(argv) {
+  const { command, args, opts } = parseArgs(argv);
+  const spec = COMMANDS[command];
+  if (!spec) {
+    console.error(usage());
+    return 1;
+  }
+
+  let result;
+  if (isWrite(command, opts)) {
+    const { prompt, run } = await spec.write(args, opts);
+    if (!opts.yes && !(await confirm(prompt))) {
+      console.error('Aborted');
+      return 1;
+    }
+    result = await run();
+  } else {
+    result = await spec.run(args, opts);
+  }
+
+  if (opts.json) console.log(JSON.stringify({ success: true, data: result }, null, 2));
+  else printTable(result);
+  return 0;
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  main(argv)
+    .catch((err) => {
+      if (argv.includes('--json')) {
+        console.log(JSON.stringify({
+          success: false,
+          error:   { code: err.code || 'INTERNAL_ERROR', message: err.message },
+        }, null, 2));
+      } else {
+        console.error(`❌ ${err.code ? `${err.code}: ` : ''}${err.message}`);
+      }
+      return 1;
+    })
+    .then(async (exitCode) => {
+      await pool.end();
+      process.exitCode = exitCode;
+    });
+}
+
+module.exports = { main };
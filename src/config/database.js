@@ -1,4 +1,10 @@
 const { Pool } = require('pg');
+const metrics = require('../utils/metrics');
+const logger  = require('../utils/logger');
+
+// The suite, and the scripts run for it (npm run test:migrate), default to
+// a separate database so tests never write to the development one
+const DEFAULT_DB_NAME = process.env.NODE_ENV === 'test' ? 'wallet_service_test' : 'wallet_service';
 
 let pool;
 
@@ -19,7 +25,7 @@ if (process.env.DATABASE_URL) {
   pool = new Pool({
     host:     process.env.DB_HOST     || 'localhost',
     port:     parseInt(process.env.DB_PORT || '5432'),
-    database: process.env.DB_NAME     || 'wallet_service',
+    database: process.env.DB_NAME     || DEFAULT_DB_NAME,
     user:     process.env.DB_USER     || 'postgres',
     password: process.env.DB_PASSWORD || 'postgres',
     min: 2,
@@ -30,21 +36,46 @@ if (process.env.DATABASE_URL) {
 }
 
 pool.on('error', (err) => {
-  console.error('Unexpected database pool error:', err);
+  logger.error('Unexpected database pool error', { err });
 });
 
 /**
  * Transaction helper
+ *
+ * Inside `fn`, client.afterCommit(callback) defers work that must only
+ * happen for a committed transaction (e.g. counting it in metrics): the
+ * callbacks run after COMMIT, and are dropped with an attempt that rolls
+ * back or is retried.
+ *
+ * Every attempt is logged with its outcome (commit, retry, rollback), how
+ * long it waited for a pooled connection and how long it ran.
  */
 async function withTransaction(fn, maxRetries = 3) {
   let attempt = 0;
 
   while (attempt < maxRetries) {
+    const requested = process.hrtime.bigint();
     const client = await pool.connect();
+    const started = process.hrtime.bigint();
+    const timing = () => ({
+      attempt:    attempt + 1,
+      waitMs:     Number((started - requested) / 1000n) / 1000,
+      durationMs: Number((process.hrtime.bigint() - started) / 1000n) / 1000,
+    });
+    const committed = [];
+    client.afterCommit = (callback) => committed.push(callback);
     try {
       await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
       const result = await fn(client);
       await client.query('COMMIT');
+      logger.info('Transaction committed', { ...timing(), outcome: 'commit' });
+      for (const callback of committed) {
+        try {
+          callback();
+        } catch (err) {
+          logger.error('afterCommit callback failed', { err });
+        }
+      }
       return result;
     } catch (err) {
       await client.query('ROLLBACK');
@@ -54,15 +85,18 @@ async function withTransaction(fn, maxRetries = 3) {
         err.code === '40P01';
 
       if (retryable && attempt < maxRetries - 1) {
+        const delayMs = Math.min(50 * 2 ** (attempt + 1), 2000);
+        logger.warn('Transaction conflict, retrying', { ...timing(), outcome: 'retry', code: err.code, delayMs });
+        metrics.transactionRetries.inc({ code: err.code });
         attempt++;
-        await new Promise(r =>
-          setTimeout(r, Math.min(50 * 2 ** attempt, 2000))
-        );
+        await new Promise(r => setTimeout(r, delayMs));
         continue;
       }
 
+      logger.info('Transaction rolled back', { ...timing(), outcome: 'rollback', code: err.code });
       throw err;
     } finally {
+      delete client.afterCommit;
       client.release();
     }
   }
@@ -70,5 +104,6 @@ async function withTransaction(fn, maxRetries = 3) {
 
 module.exports = {
   pool,
-  withTransaction
+  withTransaction,
+  DEFAULT_DB_NAME
 };
\ No newline at end of file
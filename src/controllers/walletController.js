@@ -1,12 +1,33 @@
 'use strict';
 
-const walletService = require('../services/walletService');
+const walletService         = require('../services/walletService');
+const webhookService        = require('../services/webhookService');
+const balanceStream         = require('../services/balanceStream');
+const reconciliationService = require('../services/reconciliationService');
+const limitService          = require('../services/limitService');
+const statementService      = require('../services/statementService');
+const logger                = require('../utils/logger');
+
+/**
+ * Service input for a write: the validated body plus `extra`, with the
+ * authenticated client's ID stamped into metadata so every transaction
+ * records which service initiated it, and the request ID (X-Request-Id),
+ * which the service records alongside it to tie the transaction to logs.
+ */
+function withClient(req, extra = {}) {
+  return {
+    ...req.body,
+    ...extra,
+    metadata:  { ...req.body.metadata, clientId: req.apiClient.id },
+    requestId: req.requestId,
+  };
+}
 
 // POST /api/v1/wallet/topup
 
 async function topUp(req, res, next) {
   try {
-    const result = await walletService.topUpWallet(req.body);
+    const result = await walletService.topUpWallet(withClient(req));
     const statusCode = result.idempotent ? 200 : 201;
     return res.status(statusCode).json({
       success: true,
@@ -22,7 +43,7 @@ async function topUp(req, res, next) {
 
 async function issueBonus(req, res, next) {
   try {
-    const result = await walletService.issueBonus(req.body);
+    const result = await walletService.issueBonus(withClient(req));
     const statusCode = result.idempotent ? 200 : 201;
     return res.status(statusCode).json({
       success: true,
@@ -33,11 +54,41 @@ async function issueBonus(req, res, next) {
   }
 }
 
+// POST /api/v1/wallet/bonus/batch
+// Always 200: per-item outcomes (CREATED / DUPLICATE / FAILED) are in the body
+
+async function bonusBatch(req, res, next) {
+  try {
+    const result = await walletService.issueBonusBatch(withClient(req));
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
 // POST /api/v1/wallet/spend
 
 async function spend(req, res, next) {
   try {
-    const result = await walletService.spendCredits(req.body);
+    const result = await walletService.spendCredits(withClient(req));
+    const statusCode = result.idempotent ? 200 : 201;
+    return res.status(statusCode).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/transfer
+
+async function transfer(req, res, next) {
+  try {
+    const result = await walletService.transferCredits(withClient(req));
     const statusCode = result.idempotent ? 200 : 201;
     return res.status(statusCode).json({
       success: true,
@@ -48,13 +99,204 @@ async function spend(req, res, next) {
   }
 }
 
+// POST /api/v1/wallet/exchange
+
+async function exchange(req, res, next) {
+  try {
+    const result = await walletService.exchangeCurrency(withClient(req));
+    const statusCode = result.idempotent ? 200 : 201;
+    return res.status(statusCode).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/transactions/:transactionId/reverse
+
+async function reverse(req, res, next) {
+  try {
+    const { transactionId } = req.validated;
+    const result = await walletService.reverseTransaction(withClient(req, { transactionId }));
+    const statusCode = result.idempotent ? 200 : 201;
+    return res.status(statusCode).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/holds
+
+async function authorizeHold(req, res, next) {
+  try {
+    const result = await walletService.authorizeHold(withClient(req));
+    const statusCode = result.idempotent ? 200 : 201;
+    return res.status(statusCode).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/holds/:holdId/capture
+
+async function captureHold(req, res, next) {
+  try {
+    const { holdId } = req.validated;
+    const result = await walletService.captureHold(withClient(req, { holdId }));
+    const statusCode = result.idempotent ? 200 : 201;
+    return res.status(statusCode).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/holds/:holdId/void
+
+async function voidHold(req, res, next) {
+  try {
+    const { holdId } = req.validated;
+    const result = await walletService.voidHold(holdId);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/holds/:holdId
+
+async function getHold(req, res, next) {
+  try {
+    const { holdId } = req.validated;
+    const result = await walletService.getHold(holdId);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
 
 // GET /api/v1/wallet/balance/:accountId
 
 async function getBalance(req, res, next) {
   try {
-    const { accountId } = req.validated;
-    const result = await walletService.getBalance(accountId);
+    const { accountId, at } = req.validated;
+    const result = at
+      ? await statementService.getBalanceAt(accountId, at)
+      : await walletService.getBalance(accountId);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/statement/:accountId?from&to&format
+// JSON in the usual envelope; CSV as a download; HTML as a printable page
+
+async function getStatement(req, res, next) {
+  try {
+    const { accountId, from, to, format } = req.validated;
+    const statement = await statementService.getStatement(accountId, { from, to });
+
+    if (format === 'csv') {
+      const day = (d) => d.toISOString().slice(0, 10);
+      res.set('Content-Disposition', `attachment; filename="statement-${accountId}-${day(from)}-${day(to)}.csv"`);
+      return res.status(200).type('text/csv').send(statementService.renderStatementCsv(statement));
+    }
+    if (format === 'html') {
+      return res.status(200).type('html').send(statementService.renderStatementHtml(statement));
+    }
+
+    return res.status(200).json({
+      success: true,
+      data:    statement,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/stream/:accountId
+// Server-Sent Events. On connect: a `snapshot` event (same shape as
+// GET /balance). Then one `balance` event per committed transaction that
+// touches the account, with its new balance and a transaction summary.
+
+const STREAM_HEARTBEAT_MS = 25_000; // Keeps proxies from closing idle streams
+
+async function streamBalance(req, res, next) {
+  const { accountId } = req.validated;
+  let unsubscribe = () => {};
+  let heartbeat;
+  let closed = false;
+
+  // Registered before the first await: a client that disconnects while we
+  // subscribe or read the snapshot must still release the subscription
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  const send = (event, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const sendSnapshot = async () => send('snapshot', await walletService.getBalance(accountId));
+
+  try {
+    // Subscribe before reading the snapshot so no commit falls in between
+    unsubscribe = await balanceStream.subscribe(accountId, (change) => {
+      if (change.resync) {
+        sendSnapshot().catch((err) => logger.error('Stream resync failed', { component: 'stream', accountId, err }));
+      } else {
+        send('balance', change, change.transaction.transactionId);
+      }
+    });
+    if (closed) return unsubscribe();
+
+    const snapshot = await walletService.getBalance(accountId); // 404 before the stream opens
+    if (closed) return unsubscribe();
+
+    res.writeHead(200, {
+      'Content-Type':      'text/event-stream',
+      'Cache-Control':     'no-cache',
+      'Connection':        'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    send('snapshot', snapshot);
+  } catch (err) {
+    unsubscribe();
+    return closed ? undefined : next(err);
+  }
+
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+}
+
+
+// GET /api/v1/wallet/users/:externalId
+
+async function getUserWallets(req, res, next) {
+  try {
+    const { externalId } = req.validated;
+    const result = await walletService.getUserWallets(externalId);
     return res.status(200).json({
       success: true,
       data:    result,
@@ -69,8 +311,8 @@ async function getBalance(req, res, next) {
 
 async function getHistory(req, res, next) {
   try {
-    const { accountId, limit, offset, type } = req.validated;
-    const result = await walletService.getTransactionHistory(accountId, { limit, offset, type });
+    const { accountId, ...options } = req.validated;
+    const result = await walletService.getTransactionHistory(accountId, options);
     return res.status(200).json({
       success: true,
       data:    result,
@@ -96,6 +338,221 @@ async function listAccounts(req, res, next) {
   }
 }
 
+// POST /api/v1/wallet/accounts
+
+async function createAccount(req, res, next) {
+  try {
+    const result = await walletService.createAccount(req.body);
+    const statusCode = result.idempotent ? 200 : 201;
+    return res.status(statusCode).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Reason from the body, actor from the authenticated client — recorded
+ * with every account status change.
+ */
+function statusChange(req) {
+  return { reason: req.body.reason, actor: req.apiClient.id };
+}
+
+// PATCH /api/v1/wallet/accounts/:accountId/freeze
+
+async function freezeAccount(req, res, next) {
+  try {
+    const { accountId } = req.validated;
+    const result = await walletService.freezeAccount(accountId, statusChange(req));
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// PATCH /api/v1/wallet/accounts/:accountId/unfreeze
+
+async function unfreezeAccount(req, res, next) {
+  try {
+    const { accountId } = req.validated;
+    const result = await walletService.unfreezeAccount(accountId, statusChange(req));
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// PATCH /api/v1/wallet/accounts/:accountId/deactivate
+
+async function deactivateAccount(req, res, next) {
+  try {
+    const { accountId } = req.validated;
+    const result = await walletService.deactivateAccount(accountId, statusChange(req));
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// PATCH /api/v1/wallet/accounts/:accountId/reactivate
+
+async function reactivateAccount(req, res, next) {
+  try {
+    const { accountId } = req.validated;
+    const result = await walletService.reactivateAccount(accountId, statusChange(req));
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/accounts/:accountId/status-history
+
+async function getAccountStatusHistory(req, res, next) {
+  try {
+    const { accountId } = req.validated;
+    const result = await walletService.getAccountStatusHistory(accountId);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/exchange-rates
+
+async function listExchangeRates(req, res, next) {
+  try {
+    const result = await walletService.listExchangeRates();
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/exchange-rates
+
+async function publishExchangeRate(req, res, next) {
+  try {
+    const result = await walletService.publishExchangeRate(req.body);
+    return res.status(201).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/limits
+
+async function listLimits(req, res, next) {
+  try {
+    const result = await limitService.listLimits(req.validated);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// PUT /api/v1/wallet/limits/assets/:assetCode
+
+async function setAssetLimit(req, res, next) {
+  try {
+    const { assetCode } = req.validated;
+    const result = await limitService.setAssetLimit(assetCode, req.body);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// PUT /api/v1/wallet/limits/accounts/:accountId
+
+async function setAccountLimit(req, res, next) {
+  try {
+    const { accountId } = req.validated;
+    const result = await limitService.setAccountLimit(accountId, req.body);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// DELETE /api/v1/wallet/limits/:limitId
+
+async function deleteLimit(req, res, next) {
+  try {
+    const { limitId } = req.validated;
+    const result = await limitService.deleteLimit(limitId);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/accounts/:accountId/limits
+
+async function getAccountLimits(req, res, next) {
+  try {
+    const { accountId } = req.validated;
+    const result = await limitService.getAccountLimits(accountId);
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/journal
+
+async function postJournal(req, res, next) {
+  try {
+    const result = await walletService.postJournal(withClient(req));
+    const statusCode = result.idempotent ? 200 : 201;
+    return res.status(statusCode).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
 // GET /api/v1/wallet/audit/:accountId
 
 async function auditBalance(req, res, next) {
@@ -111,4 +568,136 @@ async function auditBalance(req, res, next) {
   }
 }
 
-module.exports = { topUp, issueBonus, spend, getBalance, getHistory, listAccounts, auditBalance };
+// GET /api/v1/wallet/reconciliation
+
+async function listReconciliationRuns(req, res, next) {
+  try {
+    const { limit, offset } = req.validated;
+    const result = await reconciliationService.listRuns({ limit, offset });
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/reconciliation
+// Runs synchronously; the stored run is returned
+
+async function runReconciliation(req, res, next) {
+  try {
+    const result = await reconciliationService.runReconciliation({
+      rebuild:     req.body.rebuild,
+      triggeredBy: req.apiClient.id,
+    });
+    return res.status(201).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/webhooks
+// The signing secret is only ever returned here
+
+async function registerWebhook(req, res, next) {
+  try {
+    const result = await webhookService.registerWebhook(req.body);
+    return res.status(201).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/webhooks
+
+async function listWebhooks(req, res, next) {
+  try {
+    const result = await webhookService.listWebhooks();
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /api/v1/wallet/webhooks/deliveries
+
+async function listWebhookDeliveries(req, res, next) {
+  try {
+    const { status, limit, offset } = req.validated;
+    const result = await webhookService.listDeliveries({ status, limit, offset });
+    return res.status(200).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /api/v1/wallet/events/:eventId/replay
+// 202: deliveries are queued; the dispatcher sends them on its next tick
+
+async function replayEvent(req, res, next) {
+  try {
+    const { eventId } = req.validated;
+    const result = await webhookService.replayEvent({ eventId, webhookId: req.body.webhookId });
+    return res.status(202).json({
+      success: true,
+      data:    result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  topUp,
+  issueBonus,
+  bonusBatch,
+  spend,
+  transfer,
+  exchange,
+  reverse,
+  authorizeHold,
+  captureHold,
+  voidHold,
+  getHold,
+  getBalance,
+  getStatement,
+  streamBalance,
+  getUserWallets,
+  getHistory,
+  listAccounts,
+  createAccount,
+  freezeAccount,
+  unfreezeAccount,
+  deactivateAccount,
+  reactivateAccount,
+  getAccountStatusHistory,
+  listExchangeRates,
+  publishExchangeRate,
+  listLimits,
+  setAssetLimit,
+  setAccountLimit,
+  deleteLimit,
+  getAccountLimits,
+  postJournal,
+  auditBalance,
+  listReconciliationRuns,
+  runReconciliation,
+  registerWebhook,
+  listWebhooks,
+  listWebhookDeliveries,
+  replayEvent,
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const walletService = require('../services/walletService');
+const logger        = require('../utils/logger');
+
+/**
+ * Periodically expires credit lots past their expires_at, posting EXPIRY
+ * transactions back to each asset's treasury.
+ *
+ * Same shape as the hold sweeper: each tick drains due wallets batch by
+ * batch. Safe to run on every instance — wallets are locked before posting
+ * and the lots are re-read under the lock.
+ *
+ * @returns {Function} stop — clears the timer (used on graceful shutdown)
+ */
+function startCreditExpirySweeper({ intervalMs = 60 * 60 * 1000, batchSize = 100 } = {}) {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return; // A slow sweep must not overlap the next tick
+    running = true;
+    try {
+      let expired;
+      do {
+        expired = await walletService.expireCreditLots({ batchSize });
+        if (expired) logger.info('Expired credits', { component: 'expiry', wallets: expired });
+      } while (expired === batchSize);
+    } catch (err) {
+      logger.error('Credit expiry sweep failed', { component: 'expiry', err });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { startCreditExpirySweeper };
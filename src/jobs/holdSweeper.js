@@ -0,0 +1,39 @@
+'use strict';
+
+const walletService = require('../services/walletService');
+const logger        = require('../utils/logger');
+
+/**
+ * Periodically voids authorized holds that are past their expires_at.
+ *
+ * Each tick drains stale holds batch by batch, then waits for the next
+ * tick. Safe to run on every instance — expireHolds uses SKIP LOCKED.
+ *
+ * @returns {Function} stop — clears the timer (used on graceful shutdown)
+ */
+function startHoldSweeper({ intervalMs = 30_000, batchSize = 100 } = {}) {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return; // A slow sweep must not overlap the next tick
+    running = true;
+    try {
+      let expired;
+      do {
+        expired = await walletService.expireHolds({ batchSize });
+        if (expired) logger.info('Expired stale holds', { component: 'holds', expired });
+      } while (expired === batchSize);
+    } catch (err) {
+      logger.error('Hold sweep failed', { component: 'holds', err });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { startHoldSweeper };
@@ -0,0 +1,40 @@
+'use strict';
+
+const walletService = require('../services/walletService');
+const logger        = require('../utils/logger');
+
+/**
+ * Periodically deletes idempotency keys past their expires_at.
+ *
+ * Expired keys no longer replay, so this only keeps idempotency_keys from
+ * growing without bound. Safe to run on every instance — the purge uses
+ * SKIP LOCKED.
+ *
+ * @returns {Function} stop — clears the timer (used on graceful shutdown)
+ */
+function startIdempotencyKeyPurger({ intervalMs = 3_600_000, batchSize = 1000 } = {}) {
+  let running = false;
+
+  const purge = async () => {
+    if (running) return; // A slow purge must not overlap the next tick
+    running = true;
+    try {
+      let purged;
+      do {
+        purged = await walletService.purgeExpiredIdempotencyKeys({ batchSize });
+        if (purged) logger.info('Purged expired idempotency keys', { component: 'idempotency', purged });
+      } while (purged === batchSize);
+    } catch (err) {
+      logger.error('Idempotency key purge failed', { component: 'idempotency', err });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(purge, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { startIdempotencyKeyPurger };
@@ -0,0 +1,50 @@
+'use strict';
+
+const reconciliationService = require('../services/reconciliationService');
+const logger                = require('../utils/logger');
+
+/**
+ * Periodically reconciles the whole ledger and stores the run.
+ *
+ * With `rebuild`, cached balances that disagree with the ledger are
+ * rewritten from it; otherwise mismatches are only reported.
+ *
+ * @returns {Function} stop — clears the timer (used on graceful shutdown)
+ */
+function startReconciliationJob({ intervalMs = 24 * 60 * 60 * 1000, rebuild = false } = {}) {
+  let running = false;
+
+  const reconcile = async () => {
+    if (running) return; // A slow run must not overlap the next tick
+    running = true;
+    try {
+      const run = await reconciliationService.runReconciliation({ rebuild });
+      // The counts, not the mismatch list: that stays on the stored run
+      const summary = {
+        runId:                  run.runId,
+        accountsChecked:        run.accountsChecked,
+        transactionsChecked:    run.transactionsChecked,
+        cacheMismatches:        run.cacheMismatches,
+        unbalancedTransactions: run.unbalancedTransactions,
+        chainBreaks:            run.chainBreaks,
+        rebuiltAccounts:        run.rebuiltAccounts,
+      };
+      if (run.isConsistent) {
+        logger.info('Reconciliation run consistent', { component: 'reconciliation', ...summary });
+      } else {
+        logger.error('Reconciliation run found mismatches', { component: 'reconciliation', ...summary });
+      }
+    } catch (err) {
+      logger.error('Reconciliation run failed', { component: 'reconciliation', err });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(reconcile, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { startReconciliationJob };
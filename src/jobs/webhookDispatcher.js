@@ -0,0 +1,45 @@
+'use strict';
+
+const webhookService = require('../services/webhookService');
+const logger         = require('../utils/logger');
+
+/**
+ * Periodically moves outbox events to their webhooks.
+ *
+ * Each tick first fans new events out into deliveries, then attempts every
+ * delivery that is due, batch by batch. Safe to run on every instance —
+ * both steps claim rows with SKIP LOCKED.
+ *
+ * @returns {Function} stop — clears the timer (used on graceful shutdown)
+ */
+function startWebhookDispatcher({ intervalMs = 5_000, batchSize = 50 } = {}) {
+  let running = false;
+
+  const dispatch = async () => {
+    if (running) return; // A slow tick must not overlap the next one
+    running = true;
+    try {
+      let fannedOut;
+      do {
+        fannedOut = await webhookService.fanOutEvents({ batchSize });
+      } while (fannedOut === batchSize);
+
+      let result;
+      do {
+        result = await webhookService.deliverDue({ batchSize });
+        if (result.attempted) logger.info('Attempted webhook deliveries', { component: 'webhooks', ...result });
+      } while (result.attempted === batchSize);
+    } catch (err) {
+      logger.error('Webhook dispatch failed', { component: 'webhooks', err });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(dispatch, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { startWebhookDispatcher };
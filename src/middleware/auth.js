@@ -0,0 +1,87 @@
+'use strict';
+
+const crypto   = require('crypto');
+const { pool } = require('../config/database');
+
+// SERVICE-TO-SERVICE AUTHENTICATION
+// Callers send their API key as `X-API-Key: <key>` or
+// `Authorization: Bearer <key>`. Keys are looked up by SHA-256 hash in
+// api_clients, and the matching client is attached to the request as
+// req.apiClient = { id, name, scopes }.
+
+// Every scope a route checks. Scopes are flat: admin:write does not imply
+// admin:read, and no scope implies another.
+const SCOPES = [
+  'wallet:read',
+  'wallet:topup',
+  'wallet:bonus',
+  'wallet:spend',     // spends and holds (authorize / capture / void)
+  'wallet:transfer',
+  'wallet:exchange',
+  'wallet:reverse',
+  'admin:read',
+  'admin:write',
+  'metrics:read',     // GET /metrics, for the Prometheus scraper
+];
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function extractApiKey(req) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return apiKey;
+
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+}
+
+async function authenticate(req, res, next) {
+  try {
+    const apiKey = extractApiKey(req);
+    if (!apiKey) {
+      const err = new Error('Missing API key');
+      err.code = 'UNAUTHORIZED';
+      err.statusCode = 401;
+      throw err;
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, name, scopes FROM api_clients
+       WHERE key_hash = $1 AND is_active = TRUE`,
+      [hashApiKey(apiKey)]
+    );
+
+    if (!rows.length) {
+      const err = new Error('Invalid or revoked API key');
+      err.code = 'UNAUTHORIZED';
+      err.statusCode = 401;
+      throw err;
+    }
+
+    req.apiClient = rows[0];
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Allows the request through only if the authenticated client holds `scope`.
+ * Must run after authenticate.
+ */
+function requireScope(scope) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown scope: ${scope}`);
+
+  return (req, res, next) => {
+    if (!req.apiClient.scopes.includes(scope)) {
+      const err = new Error(`Client ${req.apiClient.id} lacks scope ${scope}`);
+      err.code = 'INSUFFICIENT_SCOPE';
+      err.statusCode = 403;
+      return next(err);
+    }
+    return next();
+  };
+}
+
+module.exports = { SCOPES, authenticate, requireScope, hashApiKey };
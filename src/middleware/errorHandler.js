@@ -1,25 +1,58 @@
 'use strict';
 
+const metrics = require('../utils/metrics');
+const logger  = require('../utils/logger');
+
 /**
  * Central error handler.
  * Maps known error codes to appropriate HTTP status codes.
  */
 function errorHandler(err, req, res, next) { // eslint-disable-line no-unused-vars
-  // Log the error internally (in production, send to observability platform)
+  // Log server errors with their stack; the request ID ties them to the
+  // request's own log line. Client errors are in that line's status.
   const isClientError = err.statusCode && err.statusCode < 500;
   if (!isClientError) {
-    console.error(`[ERROR] ${req.method} ${req.path} -`, err.message, err.stack);
+    logger.error('Request failed', { method: req.method, path: req.path, err });
   }
 
   // Map known application error codes
   const errorMap = {
-    ACCOUNT_NOT_FOUND:    { status: 404, code: 'ACCOUNT_NOT_FOUND' },
-    INSUFFICIENT_BALANCE: { status: 422, code: 'INSUFFICIENT_BALANCE' },
-    DUPLICATE_REFERENCE:  { status: 409, code: 'DUPLICATE_REFERENCE' },
-    VALIDATION_ERROR:     { status: 400, code: 'VALIDATION_ERROR' },
-    ASSET_MISMATCH:       { status: 400, code: 'ASSET_MISMATCH' },
+    ACCOUNT_NOT_FOUND:         { status: 404, code: 'ACCOUNT_NOT_FOUND' },
+    INSUFFICIENT_BALANCE:      { status: 422, code: 'INSUFFICIENT_BALANCE' },
+    DUPLICATE_REFERENCE:       { status: 409, code: 'DUPLICATE_REFERENCE' },
+    VALIDATION_ERROR:          { status: 400, code: 'VALIDATION_ERROR' },
+    ASSET_MISMATCH:            { status: 400, code: 'ASSET_MISMATCH' },
+    SELF_TRANSFER:             { status: 400, code: 'SELF_TRANSFER' },
+    INVALID_ACCOUNT_TYPE:      { status: 400, code: 'INVALID_ACCOUNT_TYPE' },
+    UNKNOWN_ASSET:             { status: 400, code: 'UNKNOWN_ASSET' },
+    BALANCE_NOT_ZERO:          { status: 409, code: 'BALANCE_NOT_ZERO' },
+    OWNER_MISMATCH:            { status: 400, code: 'OWNER_MISMATCH' },
+    RATE_NOT_CONFIGURED:       { status: 400, code: 'RATE_NOT_CONFIGURED' },
+    TRANSACTION_NOT_FOUND:     { status: 404, code: 'TRANSACTION_NOT_FOUND' },
+    NOT_REVERSIBLE:            { status: 400, code: 'NOT_REVERSIBLE' },
+    ALREADY_REVERSED:          { status: 409, code: 'ALREADY_REVERSED' },
+    REVERSAL_EXCEEDS_ORIGINAL: { status: 422, code: 'REVERSAL_EXCEEDS_ORIGINAL' },
+    HOLD_NOT_FOUND:            { status: 404, code: 'HOLD_NOT_FOUND' },
+    HOLD_NOT_ACTIVE:           { status: 409, code: 'HOLD_NOT_ACTIVE' },
+    HOLD_EXPIRED:              { status: 409, code: 'HOLD_EXPIRED' },
+    CAPTURE_EXCEEDS_HOLD:      { status: 422, code: 'CAPTURE_EXCEEDS_HOLD' },
+    UNBALANCED_JOURNAL:        { status: 400, code: 'UNBALANCED_JOURNAL' },
+    UNAUTHORIZED:              { status: 401, code: 'UNAUTHORIZED' },
+    INSUFFICIENT_SCOPE:        { status: 403, code: 'INSUFFICIENT_SCOPE' },
+    EVENT_NOT_FOUND:           { status: 404, code: 'EVENT_NOT_FOUND' },
+    WEBHOOK_NOT_FOUND:         { status: 404, code: 'WEBHOOK_NOT_FOUND' },
+    LIMIT_EXCEEDED:            { status: 422, code: 'LIMIT_EXCEEDED' },
+    LIMIT_NOT_FOUND:           { status: 404, code: 'LIMIT_NOT_FOUND' },
+    ACCOUNT_FROZEN:            { status: 403, code: 'ACCOUNT_FROZEN' },
+    INVALID_STATUS_TRANSITION: { status: 409, code: 'INVALID_STATUS_TRANSITION' },
+    PRECISION_EXCEEDED:        { status: 400, code: 'PRECISION_EXCEEDED' },
+    IDEMPOTENCY_KEY_REUSED:    { status: 409, code: 'IDEMPOTENCY_KEY_REUSED' },
+    IN_PROGRESS:               { status: 409, code: 'IN_PROGRESS' },
+    INVALID_CURSOR:            { status: 400, code: 'INVALID_CURSOR' },
   };
 
+  metrics.recordRejection(err);
+
   const mapped = err.code ? errorMap[err.code] : null;
   const status = mapped?.status || err.statusCode || 500;
 
@@ -33,6 +66,7 @@ function errorHandler(err, req, res, next) { // eslint-disable-line no-unused-va
   const response = pgError || {
     code:    mapped?.code || 'INTERNAL_ERROR',
     message: isClientError ? err.message : 'An internal error occurred. Please try again.',
+    ...(isClientError && err.details && { details: err.details }),
   };
 
   return res.status(pgError?.status || status).json({
@@ -0,0 +1,30 @@
+'use strict';
+
+const metrics = require('../utils/metrics');
+
+/**
+ * Time every request and record it in wallet_http_request_duration_seconds
+ * once the response is sent.
+ *
+ * The route label is the matched route pattern ("/balance/:accountId"),
+ * never the raw path, so IDs don't create a series each. Requests that
+ * matched no route share route="unmatched".
+ */
+function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    metrics.httpRequestDuration.observe(
+      {
+        method: req.method,
+        route:  req.route ? req.route.path : 'unmatched',
+        status: res.statusCode,
+      },
+      Number(process.hrtime.bigint() - start) / 1e9
+    );
+  });
+
+  next();
+}
+
+module.exports = { requestMetrics };
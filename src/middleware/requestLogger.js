@@ -0,0 +1,39 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// A caller's X-Request-Id is kept if it looks like an ID; anything else
+// (too long, or characters that don't belong in a log) is replaced.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an ID — the caller's X-Request-Id, or a new UUID —
+ * echo it in the response's X-Request-Id, and run the rest of the request
+ * inside a logging context carrying it. Logs one line per request when the
+ * response has been sent.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.requestId = incoming && REQUEST_ID.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.requestId);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const status = res.statusCode;
+    logger[status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info']('Request completed', {
+      requestId:  req.requestId,
+      method:     req.method,
+      path:       req.originalUrl,
+      route:      req.route ? req.route.path : undefined,
+      status,
+      durationMs: Number((process.hrtime.bigint() - start) / 1000n) / 1000,
+      clientId:   req.apiClient?.id,
+      ip:         req.ip,
+    });
+  });
+
+  logger.withContext({ requestId: req.requestId }, next);
+}
+
+module.exports = { requestLogger };
@@ -1,17 +1,55 @@
 'use strict';
 
 const Joi = require('joi');
+const money = require('../utils/money');
 // VALIDATION SCHEMAS
 
 
-const amountSchema = Joi.number()
-  .positive()
-  .precision(8)
-  .max(10_000_000)
+/**
+ * Exact decimal amount, sent as a string ("0.1") or a JSON number (0.1) and
+ * passed on as its canonical string — no float reaches the services. Up to
+ * 8 decimal places, the scale of the amount columns; an asset's own
+ * precision is checked by walletService once the account is known.
+ */
+function decimal({ sign = 'positive', max } = {}) {
+  return Joi.any()
+    .custom((value, helpers) => {
+      let amount;
+      try {
+        amount = money.normalize(value);
+      } catch (err) {
+        return helpers.error('decimal.base');
+      }
+      if (sign === 'positive' && money.sign(amount) <= 0) return helpers.error('decimal.positive');
+      if (sign === 'nonZero' && money.sign(amount) === 0) return helpers.error('decimal.nonZero');
+      if (max !== undefined && money.compare(money.abs(amount), max) > 0) {
+        return helpers.error('decimal.max', { limit: max });
+      }
+      return amount;
+    })
+    .messages({
+      'decimal.base':     '{{#label}} must be a decimal number with at most 8 decimal places',
+      'decimal.positive': '{{#label}} must be a positive number',
+      'decimal.nonZero':  '{{#label}} must not be zero',
+      'decimal.max':      '{{#label}} cannot exceed {{#limit}}',
+    });
+}
+
+// History filter on top-level metadata values: ?metadata[orderId]=A-17
+const METADATA_KEY = /^[\w.-]{1,64}$/;
+const metadataFilter = Joi.object()
+  .pattern(/^/, Joi.string().max(255))
+  .max(5)
+  .custom((value, helpers) => (
+    Object.keys(value).every((key) => METADATA_KEY.test(key)) ? value : helpers.error('metadata.key')
+  ))
+  .messages({ 'metadata.key': '{{#label}} keys must be 1-64 letters, digits, _ . or -' });
+
+const amountSchema = decimal({ max: 10_000_000 })
   .required()
   .messages({
-    'number.positive': 'amount must be a positive number',
-    'number.max':      'amount cannot exceed 10,000,000 per transaction',
+    'decimal.positive': 'amount must be a positive number',
+    'decimal.max':      'amount cannot exceed 10,000,000 per transaction',
   });
 
 const referenceIdSchema = Joi.string()
@@ -38,6 +76,22 @@ const schemas = {
     metadata:    Joi.object().optional(),
   }),
 
+  bonusBatch: Joi.object({
+    // Items derive their referenceId as campaign:<campaignId>:<accountId>
+    campaignId:  Joi.string().max(100).pattern(/^[\w.-]+$/).required(),
+    items:       Joi.array()
+      .items(Joi.object({
+        accountId: Joi.string().uuid().required(),
+        amount:    amountSchema,
+      }))
+      .min(1)
+      .max(5000)
+      .unique('accountId')
+      .required(),
+    description: Joi.string().max(500).optional(),
+    metadata:    Joi.object().optional(),
+  }),
+
   spend: Joi.object({
     accountId:   Joi.string().uuid().required(),
     amount:      amountSchema,
@@ -46,16 +100,198 @@ const schemas = {
     metadata:    Joi.object().optional(),
   }),
 
+  transfer: Joi.object({
+    fromAccountId: Joi.string().uuid().required(),
+    toAccountId:   Joi.string().uuid().required(),
+    amount:        amountSchema,
+    referenceId:   referenceIdSchema,
+    description:   Joi.string().max(500).optional(),
+    metadata:      Joi.object().optional(),
+  }),
+
+  exchange: Joi.object({
+    fromAccountId: Joi.string().uuid().required(),
+    toAccountId:   Joi.string().uuid().required(),
+    amount:        amountSchema,
+    referenceId:   referenceIdSchema,
+    description:   Joi.string().max(500).optional(),
+    metadata:      Joi.object().optional(),
+  }),
+
+  reverse: Joi.object({
+    amount:      amountSchema.optional(),
+    referenceId: referenceIdSchema,
+    description: Joi.string().max(500).optional(),
+    metadata:    Joi.object().optional(),
+  }),
+
+  transactionParams: Joi.object({
+    transactionId: Joi.string().uuid().required(),
+  }),
+
+  authorizeHold: Joi.object({
+    accountId:        Joi.string().uuid().required(),
+    amount:           amountSchema,
+    referenceId:      referenceIdSchema,
+    expiresInSeconds: Joi.number().integer().min(1).max(7 * 24 * 60 * 60).optional(),
+    description:      Joi.string().max(500).optional(),
+    metadata:         Joi.object().optional(),
+  }),
+
+  captureHold: Joi.object({
+    amount:      amountSchema.optional(),
+    referenceId: referenceIdSchema,
+    description: Joi.string().max(500).optional(),
+    metadata:    Joi.object().optional(),
+  }),
+
+  holdParams: Joi.object({
+    holdId: Joi.string().uuid().required(),
+  }),
+
+  exchangeRate: Joi.object({
+    fromAssetCode: Joi.string().uppercase().max(50).required(),
+    toAssetCode:   Joi.string().uppercase().max(50).required().invalid(Joi.ref('fromAssetCode')),
+    rate:          decimal().required(),
+    effectiveFrom: Joi.date().iso().optional(),
+  }),
+
+  journal: Joi.object({
+    legs: Joi.array()
+      .items(Joi.object({
+        accountId: Joi.string().uuid().required(),
+        // Ledger convention: positive = debit (leaving), negative = credit (arriving)
+        amount:    decimal({ sign: 'nonZero', max: 10_000_000 }).required(),
+      }))
+      .min(2)
+      .max(50)
+      .required(),
+    reason:      Joi.string().trim().min(3).max(500).required(),
+    referenceId: referenceIdSchema,
+    metadata:    Joi.object().optional(),
+  }),
+
+  registerWebhook: Joi.object({
+    url:         Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+    // Empty or omitted = every event type
+    eventTypes:  Joi.array()
+      .items(Joi.string().valid('wallet.top_up', 'wallet.bonus', 'wallet.spend'))
+      .unique()
+      .optional(),
+    description: Joi.string().max(500).optional(),
+  }),
+
+  listDeliveries: Joi.object({
+    status: Joi.string().valid('PENDING', 'DELIVERED', 'DEAD').optional(),
+    limit:  Joi.number().integer().min(1).max(100).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+  }),
+
+  eventParams: Joi.object({
+    eventId: Joi.string().uuid().required(),
+  }),
+
+  replayEvent: Joi.object({
+    webhookId: Joi.string().uuid().optional(),
+  }),
+
+  listReconciliationRuns: Joi.object({
+    limit:  Joi.number().integer().min(1).max(100).default(20),
+    offset: Joi.number().integer().min(0).default(0),
+  }),
+
+  runReconciliation: Joi.object({
+    // Opt-in: overwrite mismatched cached balances from the ledger
+    rebuild: Joi.boolean().default(false),
+  }),
+
+  // PUT replaces the rule: caps left out are cleared at that level
+  spendingLimit: Joi.object({
+    maxPerTransaction: decimal({ max: 10_000_000 }).optional(),
+    maxPerDay:         decimal().optional(),
+    maxCountPerHour:   Joi.number().integer().min(1).optional(),
+  })
+    .or('maxPerTransaction', 'maxPerDay', 'maxCountPerHour')
+    .messages({
+      'object.missing': 'set at least one of maxPerTransaction, maxPerDay, maxCountPerHour',
+    }),
+
+  listLimits: Joi.object({
+    accountId: Joi.string().uuid().optional(),
+    assetCode: Joi.string().uppercase().max(50).optional(),
+    limit:     Joi.number().integer().min(1).max(100).default(50),
+    offset:    Joi.number().integer().min(0).default(0),
+  }),
+
+  assetParams: Joi.object({
+    assetCode: Joi.string().uppercase().max(50).required(),
+  }),
+
+  limitParams: Joi.object({
+    limitId: Joi.string().uuid().required(),
+  }),
+
+  createAccount: Joi.object({
+    externalId: Joi.string().max(255).required(),
+    assetCode:  Joi.string().uppercase().max(50).required(),
+    name:       Joi.string().max(255).optional(),
+  }),
+
+  // Freeze / unfreeze: the reason is recorded in account_status_history
+  accountStatusChange: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }),
+
+  // Deactivate / reactivate: the reason is optional
+  accountStatusNote: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).optional(),
+  }),
+
+  accountParams: Joi.object({
+    accountId: Joi.string().uuid().required(),
+  }),
+
   getBalance: Joi.object({
     accountId: Joi.string().uuid().required(),
   }),
 
-  getHistory: Joi.object({
+  // Balance as of a past instant (ISO 8601); omitted = the current balance
+  getBalanceAt: Joi.object({
     accountId: Joi.string().uuid().required(),
-    limit:     Joi.number().integer().min(1).max(100).default(20),
-    offset:    Joi.number().integer().min(0).default(0),
-    type:      Joi.string().valid('TOP_UP', 'BONUS', 'SPEND').optional(),
+    at:        Joi.date().iso().optional(),
+  }),
+
+  // Entries in [from, to)
+  getStatement: Joi.object({
+    accountId: Joi.string().uuid().required(),
+    from:      Joi.date().iso().required(),
+    to:        Joi.date().iso().greater(Joi.ref('from')).required(),
+    format:    Joi.string().lowercase().valid('json', 'csv', 'html').default('json'),
   }),
+
+  getUserWallets: Joi.object({
+    externalId: Joi.string().max(255).required(),
+  }),
+
+  // Offset pages (the default) or keyset pages; a cursor implies the latter.
+  // Entries in [from, to); amount bounds apply to the entry's size.
+  getHistory: Joi.object({
+    accountId:         Joi.string().uuid().required(),
+    limit:             Joi.number().integer().min(1).max(100).default(20),
+    pagination:        Joi.string().lowercase().valid('offset', 'cursor').optional(),
+    offset:            Joi.number().integer().min(0)
+      .when('pagination', { is: 'cursor', then: Joi.forbidden() }).optional(),
+    cursor:            Joi.string().max(200)
+      .when('pagination', { is: 'offset', then: Joi.forbidden() }).optional(),
+    type:              Joi.string().valid('TOP_UP', 'BONUS', 'SPEND', 'TRANSFER', 'EXCHANGE', 'REVERSAL', 'ADJUSTMENT', 'EXPIRY').optional(),
+    from:              Joi.date().iso().optional(),
+    to:                Joi.date().iso().optional()
+      .when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) }),
+    minAmount:         decimal().optional(),
+    maxAmount:         decimal().optional(),
+    referenceIdPrefix: Joi.string().max(255).optional(),
+    metadata:          metadataFilter.optional(),
+  }).oxor('offset', 'cursor'),
 };
 
 /**
@@ -130,4 +366,4 @@ function validateQuery(schemaName) {
   };
 }
 
-module.exports = { validateBody, validateQuery };
+module.exports = { schemas, validateBody, validateQuery };
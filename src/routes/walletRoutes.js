@@ -5,6 +5,10 @@ const router  = express.Router();
 
 const controller = require('../controllers/walletController');
 const { validateBody, validateQuery } = require('../middleware/validation');
+const { authenticate, requireScope }  = require('../middleware/auth');
+
+// Every route requires an API key; each route then checks its own scope
+router.use(authenticate);
 
 // ── Transactions ─────────────────────────────────────────────
 /**
@@ -12,50 +16,476 @@ const { validateBody, validateQuery } = require('../middleware/validation');
  * @desc    Top up a user's wallet with purchased credits
  * @body    { accountId, amount, referenceId, description?, metadata? }
  * @returns 201 on success, 200 if idempotent replay
+ * @scope   wallet:topup
  */
-router.post('/topup', validateBody('topUp'), controller.topUp);
+router.post('/topup', requireScope('wallet:topup'), validateBody('topUp'), controller.topUp);
 
 /**
  * @route   POST /api/v1/wallet/bonus
  * @desc    Issue a free-credit bonus to a user (referral, promo, etc.)
  * @body    { accountId, amount, referenceId, description?, metadata? }
+ * @scope   wallet:bonus
+ */
+router.post('/bonus', requireScope('wallet:bonus'), validateBody('bonus'), controller.issueBonus);
+
+/**
+ * @route   POST /api/v1/wallet/bonus/batch
+ * @desc    Issue a campaign's bonuses in bulk. Each item gets referenceId
+ *          campaign:<campaignId>:<accountId>, so resubmitting after a partial
+ *          failure only posts the items that are still missing.
+ * @body    { campaignId, items: [{ accountId, amount }], description?, metadata? }
+ * @returns 200 with per-item status CREATED | DUPLICATE | FAILED
+ * @scope   wallet:bonus
  */
-router.post('/bonus', validateBody('bonus'), controller.issueBonus);
+router.post(
+  '/bonus/batch',
+  requireScope('wallet:bonus'),
+  validateBody('bonusBatch'),
+  controller.bonusBatch
+);
 
 /**
  * @route   POST /api/v1/wallet/spend
  * @desc    Deduct credits from a user's wallet for an in-app purchase
  * @body    { accountId, amount, referenceId, description?, metadata? }
+ * @scope   wallet:spend
+ */
+router.post('/spend', requireScope('wallet:spend'), validateBody('spend'), controller.spend);
+
+/**
+ * @route   POST /api/v1/wallet/transfer
+ * @desc    Move credits between two user wallets of the same asset
+ * @body    { fromAccountId, toAccountId, amount, referenceId, description?, metadata? }
+ * @scope   wallet:transfer
+ */
+router.post(
+  '/transfer',
+  requireScope('wallet:transfer'),
+  validateBody('transfer'),
+  controller.transfer
+);
+
+/**
+ * @route   POST /api/v1/wallet/exchange
+ * @desc    Convert credits between two of a user's wallets at the current rate
+ * @body    { fromAccountId, toAccountId, amount, referenceId, description?, metadata? }
+ * @scope   wallet:exchange
+ */
+router.post(
+  '/exchange',
+  requireScope('wallet:exchange'),
+  validateBody('exchange'),
+  controller.exchange
+);
+
+/**
+ * @route   POST /api/v1/wallet/transactions/:transactionId/reverse
+ * @desc    Reverse all or part of a TOP_UP, BONUS, SPEND or TRANSFER
+ *          Posts mirror-image entries; amount defaults to what remains reversible
+ * @body    { amount?, referenceId, description?, metadata? }
+ * @scope   wallet:reverse
+ */
+router.post(
+  '/transactions/:transactionId/reverse',
+  requireScope('wallet:reverse'),
+  validateQuery('transactionParams'),
+  validateBody('reverse'),
+  controller.reverse
+);
+
+// ── Holds ─────────────────────────────────────────────────────
+/**
+ * @route   POST /api/v1/wallet/holds
+ * @desc    Reserve funds on a user wallet (reduces available balance)
+ * @body    { accountId, amount, referenceId, expiresInSeconds?, description?, metadata? }
+ * @scope   wallet:spend
+ */
+router.post(
+  '/holds',
+  requireScope('wallet:spend'),
+  validateBody('authorizeHold'),
+  controller.authorizeHold
+);
+
+/**
+ * @route   GET /api/v1/wallet/holds/:holdId
+ * @desc    Get a hold and its status
+ * @scope   wallet:read
+ */
+router.get(
+  '/holds/:holdId',
+  requireScope('wallet:read'),
+  validateQuery('holdParams'),
+  controller.getHold
+);
+
+/**
+ * @route   POST /api/v1/wallet/holds/:holdId/capture
+ * @desc    Turn a hold into a SPEND; a partial capture releases the rest
+ * @body    { amount?, referenceId, description?, metadata? }
+ * @scope   wallet:spend
  */
-router.post('/spend', validateBody('spend'), controller.spend);
+router.post(
+  '/holds/:holdId/capture',
+  requireScope('wallet:spend'),
+  validateQuery('holdParams'),
+  validateBody('captureHold'),
+  controller.captureHold
+);
+
+/**
+ * @route   POST /api/v1/wallet/holds/:holdId/void
+ * @desc    Release a hold without spending it
+ * @scope   wallet:spend
+ */
+router.post(
+  '/holds/:holdId/void',
+  requireScope('wallet:spend'),
+  validateQuery('holdParams'),
+  controller.voidHold
+);
 
 // ── Queries ───────────────────────────────────────────────────
 /**
  * @route   GET /api/v1/wallet/balance/:accountId
- * @desc    Get the current balance of an account
+ * @desc    Get the current balance of an account, or its balance as of `at`
+ * @query   at? (ISO 8601)
+ * @scope   wallet:read
+ */
+router.get(
+  '/balance/:accountId',
+  requireScope('wallet:read'),
+  validateQuery('getBalanceAt'),
+  controller.getBalance
+);
+
+/**
+ * @route   GET /api/v1/wallet/statement/:accountId
+ * @desc    Opening balance, every entry in [from, to) and closing balance
+ * @query   from, to (ISO 8601), format? json | csv | html
+ * @scope   wallet:read
+ */
+router.get(
+  '/statement/:accountId',
+  requireScope('wallet:read'),
+  validateQuery('getStatement'),
+  controller.getStatement
+);
+
+/**
+ * @route   GET /api/v1/wallet/stream/:accountId
+ * @desc    Server-Sent Events stream of an account's balance: a `snapshot`
+ *          event on connect, then a `balance` event per committed transaction
+ * @scope   wallet:read
+ */
+router.get(
+  '/stream/:accountId',
+  requireScope('wallet:read'),
+  validateQuery('getBalance'),
+  controller.streamBalance
+);
+
+/**
+ * @route   GET /api/v1/wallet/users/:externalId
+ * @desc    Get every wallet (one per asset) held by an external user ID
+ * @scope   wallet:read
  */
-router.get('/balance/:accountId', validateQuery('getBalance'), controller.getBalance);
+router.get(
+  '/users/:externalId',
+  requireScope('wallet:read'),
+  validateQuery('getUserWallets'),
+  controller.getUserWallets
+);
 
 /**
  * @route   GET /api/v1/wallet/history/:accountId
- * @desc    Get paginated transaction history for an account
- * @query   limit, offset, type (TOP_UP | BONUS | SPEND)
+ * @desc    Get paginated transaction history for an account, newest first
+ * @query   limit, pagination (offset | cursor), offset, cursor,
+ *          type (TOP_UP | BONUS | SPEND | TRANSFER | EXCHANGE | REVERSAL | ADJUSTMENT | EXPIRY),
+ *          from, to, minAmount, maxAmount, referenceIdPrefix, metadata[key]
+ * @scope   wallet:read
  */
-router.get('/history/:accountId', validateQuery('getHistory'), controller.getHistory);
+router.get(
+  '/history/:accountId',
+  requireScope('wallet:read'),
+  validateQuery('getHistory'),
+  controller.getHistory
+);
 
 // ── Admin ─────────────────────────────────────────────────────
 /**
  * @route   GET /api/v1/wallet/accounts
  * @desc    List all accounts (admin view)
  * @query   accountType, assetCode, limit, offset
+ * @scope   admin:read
+ */
+router.get('/accounts', requireScope('admin:read'), controller.listAccounts);
+
+/**
+ * @route   POST /api/v1/wallet/accounts
+ * @desc    Provision a USER wallet for an external user ID
+ *          Idempotent on externalId — 201 when created, 200 if it already exists
+ * @body    { externalId, assetCode, name? }
+ * @scope   admin:write
+ */
+router.post(
+  '/accounts',
+  requireScope('admin:write'),
+  validateBody('createAccount'),
+  controller.createAccount
+);
+
+/**
+ * @route   PATCH /api/v1/wallet/accounts/:accountId/freeze
+ * @desc    Freeze a USER wallet: it can still receive funds, but not spend,
+ *          transfer out, exchange or place holds
+ * @body    { reason }
+ * @scope   admin:write
+ */
+router.patch(
+  '/accounts/:accountId/freeze',
+  requireScope('admin:write'),
+  validateQuery('accountParams'),
+  validateBody('accountStatusChange'),
+  controller.freezeAccount
+);
+
+/**
+ * @route   PATCH /api/v1/wallet/accounts/:accountId/unfreeze
+ * @desc    Return a frozen USER wallet to ACTIVE
+ * @body    { reason }
+ * @scope   admin:write
+ */
+router.patch(
+  '/accounts/:accountId/unfreeze',
+  requireScope('admin:write'),
+  validateQuery('accountParams'),
+  validateBody('accountStatusChange'),
+  controller.unfreezeAccount
+);
+
+/**
+ * @route   PATCH /api/v1/wallet/accounts/:accountId/deactivate
+ * @desc    Close a USER wallet (balance must be zero)
+ * @body    { reason? }
+ * @scope   admin:write
+ */
+router.patch(
+  '/accounts/:accountId/deactivate',
+  requireScope('admin:write'),
+  validateQuery('accountParams'),
+  validateBody('accountStatusNote'),
+  controller.deactivateAccount
+);
+
+/**
+ * @route   PATCH /api/v1/wallet/accounts/:accountId/reactivate
+ * @desc    Reopen a closed USER wallet
+ * @body    { reason? }
+ * @scope   admin:write
+ */
+router.patch(
+  '/accounts/:accountId/reactivate',
+  requireScope('admin:write'),
+  validateQuery('accountParams'),
+  validateBody('accountStatusNote'),
+  controller.reactivateAccount
+);
+
+/**
+ * @route   GET /api/v1/wallet/accounts/:accountId/status-history
+ * @desc    Current status of an account and every change to it, with reason and actor
+ * @scope   admin:read
+ */
+router.get(
+  '/accounts/:accountId/status-history',
+  requireScope('admin:read'),
+  validateQuery('accountParams'),
+  controller.getAccountStatusHistory
+);
+
+/**
+ * @route   GET /api/v1/wallet/exchange-rates
+ * @desc    List the exchange rate currently in effect for each asset pair
+ * @scope   admin:read
+ */
+router.get('/exchange-rates', requireScope('admin:read'), controller.listExchangeRates);
+
+/**
+ * @route   POST /api/v1/wallet/exchange-rates
+ * @desc    Publish a new version of the rate for an asset pair
+ * @body    { fromAssetCode, toAssetCode, rate, effectiveFrom? }
+ * @scope   admin:write
+ */
+router.post(
+  '/exchange-rates',
+  requireScope('admin:write'),
+  validateBody('exchangeRate'),
+  controller.publishExchangeRate
+);
+
+/**
+ * @route   GET /api/v1/wallet/limits
+ * @desc    List spending limit rules (asset defaults and wallet overrides)
+ * @query   accountId?, assetCode?, limit, offset
+ * @scope   admin:read
+ */
+router.get(
+  '/limits',
+  requireScope('admin:read'),
+  validateQuery('listLimits'),
+  controller.listLimits
+);
+
+/**
+ * @route   PUT /api/v1/wallet/limits/assets/:assetCode
+ * @desc    Set the default spending limits for every wallet of an asset
+ * @body    { maxPerTransaction?, maxPerDay?, maxCountPerHour? } — at least one
+ * @scope   admin:write
+ */
+router.put(
+  '/limits/assets/:assetCode',
+  requireScope('admin:write'),
+  validateQuery('assetParams'),
+  validateBody('spendingLimit'),
+  controller.setAssetLimit
+);
+
+/**
+ * @route   PUT /api/v1/wallet/limits/accounts/:accountId
+ * @desc    Override spending limits for one USER wallet
+ * @body    { maxPerTransaction?, maxPerDay?, maxCountPerHour? } — at least one
+ * @scope   admin:write
+ */
+router.put(
+  '/limits/accounts/:accountId',
+  requireScope('admin:write'),
+  validateQuery('accountParams'),
+  validateBody('spendingLimit'),
+  controller.setAccountLimit
+);
+
+/**
+ * @route   DELETE /api/v1/wallet/limits/:limitId
+ * @desc    Remove a spending limit rule
+ * @scope   admin:write
  */
-router.get('/accounts', controller.listAccounts);
+router.delete(
+  '/limits/:limitId',
+  requireScope('admin:write'),
+  validateQuery('limitParams'),
+  controller.deleteLimit
+);
+
+/**
+ * @route   GET /api/v1/wallet/accounts/:accountId/limits
+ * @desc    Limits in force for a wallet, their source rules and current usage
+ * @scope   admin:read
+ */
+router.get(
+  '/accounts/:accountId/limits',
+  requireScope('admin:read'),
+  validateQuery('accountParams'),
+  controller.getAccountLimits
+);
+
+/**
+ * @route   POST /api/v1/wallet/journal
+ * @desc    Post a manual N-leg adjustment; legs must sum to zero per asset
+ *          Leg amounts use the ledger sign: positive = debit, negative = credit
+ * @body    { legs: [{ accountId, amount }], reason, referenceId, metadata? }
+ * @scope   admin:write
+ */
+router.post(
+  '/journal',
+  requireScope('admin:write'),
+  validateBody('journal'),
+  controller.postJournal
+);
 
 /**
  * @route   GET /api/v1/wallet/audit/:accountId
  * @desc    Verify ledger integrity — compare cached balance vs ledger sum
  *          Used for auditing and data consistency checks
+ * @scope   admin:read
+ */
+router.get('/audit/:accountId', requireScope('admin:read'), controller.auditBalance);
+
+/**
+ * @route   GET /api/v1/wallet/reconciliation
+ * @desc    List full-ledger reconciliation runs, newest first, with their mismatches
+ * @query   limit, offset
+ * @scope   admin:read
+ */
+router.get(
+  '/reconciliation',
+  requireScope('admin:read'),
+  validateQuery('listReconciliationRuns'),
+  controller.listReconciliationRuns
+);
+
+/**
+ * @route   POST /api/v1/wallet/reconciliation
+ * @desc    Reconcile the whole ledger now. With rebuild, cached balances
+ *          that disagree with the ledger are rewritten from it.
+ * @body    { rebuild? }
+ * @scope   admin:write
+ */
+router.post(
+  '/reconciliation',
+  requireScope('admin:write'),
+  validateBody('runReconciliation'),
+  controller.runReconciliation
+);
+
+// ── Webhooks ──────────────────────────────────────────────────
+/**
+ * @route   POST /api/v1/wallet/webhooks
+ * @desc    Register a webhook URL; returns its signing secret (shown once)
+ * @body    { url, eventTypes?: ['wallet.top_up' | 'wallet.bonus' | 'wallet.spend'], description? }
+ * @scope   admin:write
+ */
+router.post(
+  '/webhooks',
+  requireScope('admin:write'),
+  validateBody('registerWebhook'),
+  controller.registerWebhook
+);
+
+/**
+ * @route   GET /api/v1/wallet/webhooks
+ * @desc    List registered webhooks (without secrets)
+ * @scope   admin:read
+ */
+router.get('/webhooks', requireScope('admin:read'), controller.listWebhooks);
+
+/**
+ * @route   GET /api/v1/wallet/webhooks/deliveries
+ * @desc    List webhook deliveries, e.g. status=DEAD for the dead-letter queue
+ * @query   status (PENDING | DELIVERED | DEAD), limit, offset
+ * @scope   admin:read
+ */
+router.get(
+  '/webhooks/deliveries',
+  requireScope('admin:read'),
+  validateQuery('listDeliveries'),
+  controller.listWebhookDeliveries
+);
+
+/**
+ * @route   POST /api/v1/wallet/events/:eventId/replay
+ * @desc    Queue an outbox event for delivery again, to one webhook or to
+ *          every subscribed webhook; resets DEAD deliveries
+ * @body    { webhookId? }
+ * @returns 202 with the queued deliveries
+ * @scope   admin:write
  */
-router.get('/audit/:accountId', controller.auditBalance);
+router.post(
+  '/events/:eventId/replay',
+  requireScope('admin:write'),
+  validateQuery('eventParams'),
+  validateBody('replayEvent'),
+  controller.replayEvent
+);
 
 module.exports = router;
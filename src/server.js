@@ -4,12 +4,23 @@ require("dotenv").config();
 
 const express = require("express");
 const helmet = require("helmet");
-const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
 
 const walletRoutes = require("./routes/walletRoutes");
 const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+const { requestMetrics } = require("./middleware/metrics");
+const { requestLogger } = require("./middleware/requestLogger");
+const { authenticate, requireScope } = require("./middleware/auth");
+const logger = require("./utils/logger");
+const { renderMetrics } = require("./services/metricsService");
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("./utils/metrics");
 const { pool } = require("./config/database");
+const { stopBalanceStream } = require("./services/balanceStream");
+const { startHoldSweeper } = require("./jobs/holdSweeper");
+const { startCreditExpirySweeper } = require("./jobs/creditExpirySweeper");
+const { startWebhookDispatcher } = require("./jobs/webhookDispatcher");
+const { startReconciliationJob } = require("./jobs/reconciliationJob");
+const { startIdempotencyKeyPurger } = require("./jobs/idempotencyKeyPurger");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,18 +30,22 @@ const { runSeed } = require("../scripts/seed");
 app.use(helmet());
 app.disable("x-powered-by");
 
-// Request logging
-app.use(morgan(process.env.NODE_ENV === "production" ? "combined" : "dev"));
+// Request IDs (X-Request-Id) and structured JSON request logs
+app.use(requestLogger);
 
-// Body parsing
+// Request latency metrics (served at /metrics)
+app.use(requestMetrics);
+
+// Body parsing (batch bonus payloads carry up to 5000 items)
+app.use("/api/v1/wallet/bonus/batch", express.json({ limit: "1mb" }));
 app.use(express.json({ limit: "100kb" }));
 app.use(express.urlencoded({ extended: true, limit: "100kb" }));
 
 //Rate limiting
-// General limiter: 300 requests per minute per IP
+// General limiter: 300 requests per minute per IP (RATE_LIMIT_MAX)
 const generalLimiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 300,
+  max: parseInt(process.env.RATE_LIMIT_MAX || "300"),
   standardHeaders: true,
   legacyHeaders: false,
   message: {
@@ -42,10 +57,10 @@ const generalLimiter = rateLimit({
   },
 });
 
-// Stricter limiter for write endpoints
+// Stricter limiter for write endpoints: 60 per minute (WRITE_RATE_LIMIT_MAX)
 const writeLimiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 60,
+  max: parseInt(process.env.WRITE_RATE_LIMIT_MAX || "60"),
   standardHeaders: true,
   legacyHeaders: false,
   message: {
@@ -66,7 +81,7 @@ const writeLimiter = rateLimit({
       await runSeed();
     }
   } catch (err) {
-    console.error("❌ Migration/Seed failed:", err);
+    logger.error("Migration/seed failed", { err });
     process.exit(1);
   }
 })();
@@ -74,6 +89,14 @@ app.use("/api/", generalLimiter);
 app.use("/api/v1/wallet/topup", writeLimiter);
 app.use("/api/v1/wallet/bonus", writeLimiter);
 app.use("/api/v1/wallet/spend", writeLimiter);
+app.use("/api/v1/wallet/transfer", writeLimiter);
+app.use("/api/v1/wallet/exchange", writeLimiter);
+app.use("/api/v1/wallet/transactions", writeLimiter);
+// Only the hold routes that move funds; GET /holds/:holdId is a read
+app.post("/api/v1/wallet/holds", writeLimiter);
+app.post("/api/v1/wallet/holds/:holdId/capture", writeLimiter);
+app.post("/api/v1/wallet/holds/:holdId/void", writeLimiter);
+app.use("/api/v1/wallet/journal", writeLimiter);
 
 // Health check
 app.get("/health", async (req, res) => {
@@ -102,6 +125,16 @@ app.get("/health", async (req, res) => {
   }
 });
 
+// Prometheus metrics (text exposition format), for clients with metrics:read
+app.get("/metrics", authenticate, requireScope("metrics:read"), async (req, res, next) => {
+  try {
+    res.set("Content-Type", METRICS_CONTENT_TYPE);
+    return res.status(200).send(await renderMetrics());
+  } catch (err) {
+    return next(err);
+  }
+});
+
 // API routes
 app.use("/api/v1/wallet", walletRoutes);
 
@@ -111,17 +144,55 @@ app.use(errorHandler);
 
 //Start server
 let server;
+let stopHoldSweeper;
+let stopCreditExpirySweeper;
+let stopWebhookDispatcher;
+let stopReconciliationJob;
+let stopIdempotencyKeyPurger;
 if (process.env.NODE_ENV !== "test") {
   server = app.listen(PORT, () => {
-    console.log(`\n🚀 Wallet Service running on port ${PORT}`);
-    console.log(`   Environment: ${process.env.NODE_ENV || "development"}`);
-    console.log(`   Health: http://localhost:${PORT}/health\n`);
+    logger.info("Wallet Service listening", {
+      port:        Number(PORT),
+      environment: process.env.NODE_ENV || "development",
+    });
+  });
+
+  // Background job: void holds past their expiry
+  stopHoldSweeper = startHoldSweeper({
+    intervalMs: parseInt(process.env.HOLD_SWEEP_INTERVAL_MS || "30000"),
+  });
+
+  // Background job: expire credit lots (Loyalty Points) past their TTL
+  stopCreditExpirySweeper = startCreditExpirySweeper({
+    intervalMs: parseInt(process.env.CREDIT_EXPIRY_INTERVAL_MS || "3600000"),
+  });
+
+  // Background job: deliver outbox events to registered webhooks
+  stopWebhookDispatcher = startWebhookDispatcher({
+    intervalMs: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS || "5000"),
+  });
+
+  // Background job: full-ledger reconciliation
+  stopReconciliationJob = startReconciliationJob({
+    intervalMs: parseInt(process.env.RECONCILIATION_INTERVAL_MS || "86400000"),
+    rebuild:    process.env.RECONCILIATION_REBUILD === "true",
+  });
+
+  // Background job: delete expired idempotency keys
+  stopIdempotencyKeyPurger = startIdempotencyKeyPurger({
+    intervalMs: parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS || "3600000"),
   });
 }
 
 // Graceful shutdown
 process.on("SIGTERM", async () => {
-  console.log("SIGTERM received, shutting down gracefully...");
+  logger.info("SIGTERM received, shutting down gracefully");
+  if (stopHoldSweeper) stopHoldSweeper();
+  if (stopCreditExpirySweeper) stopCreditExpirySweeper();
+  if (stopWebhookDispatcher) stopWebhookDispatcher();
+  if (stopReconciliationJob) stopReconciliationJob();
+  if (stopIdempotencyKeyPurger) stopIdempotencyKeyPurger();
+  await stopBalanceStream();
   if (server) server.close();
   await pool.end();
   process.exit(0);
@@ -0,0 +1,121 @@
+'use strict';
+
+const { pool } = require('../config/database');
+const { BALANCE_CHANNEL } = require('./walletService');
+const logger = require('../utils/logger');
+
+// BALANCE STREAM
+// One LISTEN connection per process fans Postgres notifications out to the
+// SSE connections open on this instance. Postings NOTIFY from inside their
+// transaction (notifyBalanceChanges), so every instance sees every commit,
+// whichever instance made it.
+//
+// The connection is opened with the first subscriber. If it drops, it is
+// re-established and every subscriber gets a { resync: true } message,
+// since notifications sent while disconnected are lost.
+
+const RECONNECT_DELAY_MS = 1_000;
+
+const subscribers = new Map(); // accountId → Set<listener>
+let listenClient   = null;
+let connecting     = null;
+let reconnectTimer = null;
+
+function dispatch(accountId, message) {
+  const listeners = subscribers.get(accountId);
+  if (!listeners) return;
+  for (const listener of listeners) listener(message);
+}
+
+async function connect() {
+  const client = await pool.connect();
+
+  client.on('notification', (msg) => {
+    if (msg.channel !== BALANCE_CHANNEL) return;
+    let change;
+    try {
+      change = JSON.parse(msg.payload);
+    } catch (err) {
+      logger.warn('Ignoring malformed balance notification', { component: 'stream', err });
+      return;
+    }
+    dispatch(change.accountId, change);
+  });
+
+  client.on('error', (err) => {
+    logger.error('LISTEN connection lost', { component: 'stream', err });
+    if (listenClient === client) listenClient = null;
+    client.release(err);
+    scheduleReconnect();
+  });
+
+  await client.query(`LISTEN ${BALANCE_CHANNEL}`);
+  listenClient = client;
+}
+
+function ensureListening() {
+  if (listenClient) return Promise.resolve();
+  if (!connecting) {
+    connecting = connect().finally(() => { connecting = null; });
+  }
+  return connecting;
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer || !subscribers.size) return;
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    try {
+      await ensureListening();
+      for (const accountId of subscribers.keys()) dispatch(accountId, { resync: true });
+    } catch (err) {
+      logger.error('LISTEN reconnect failed', { component: 'stream', err });
+      scheduleReconnect();
+    }
+  }, RECONNECT_DELAY_MS);
+  reconnectTimer.unref();
+}
+
+/**
+ * Call `listener` with every committed balance change of `accountId`.
+ * Resolves once the LISTEN connection is up.
+ *
+ * @returns {Promise<Function>} unsubscribe
+ */
+async function subscribe(accountId, listener) {
+  if (!subscribers.has(accountId)) subscribers.set(accountId, new Set());
+  subscribers.get(accountId).add(listener);
+
+  const unsubscribe = () => {
+    const listeners = subscribers.get(accountId);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (!listeners.size) subscribers.delete(accountId);
+  };
+
+  try {
+    await ensureListening();
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+  return unsubscribe;
+}
+
+/**
+ * Drop the LISTEN connection (graceful shutdown). Open streams stop
+ * receiving updates; a later subscribe reconnects.
+ */
+async function stopBalanceStream() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  subscribers.clear();
+  if (listenClient) {
+    const client = listenClient;
+    listenClient = null;
+    await client.query(`UNLISTEN ${BALANCE_CHANNEL}`).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { subscribe, stopBalanceStream };
@@ -0,0 +1,286 @@
+'use strict';
+
+const { withTransaction, pool } = require('../config/database');
+const money = require('../utils/money');
+
+// SPENDING LIMITS
+// Per-wallet caps on funds leaving a wallet at the holder's request, on
+// top of the per-IP rate limiter:
+//
+//   maxPerTransaction — largest single outgoing payment
+//   maxPerDay         — total sent out over the rolling last 24 hours
+//   maxCountPerHour   — number of outgoing payments over the rolling last 60 minutes
+//
+// Rules are asset defaults or per-wallet overrides (see 015_spending_limits.sql);
+// each cap resolves to the wallet's value, else the asset's.
+//
+// A compromised wallet can be drained by a transfer to another wallet as
+// easily as by spending, so SPEND, TRANSFER and EXCHANGE all count: usage
+// is every debit the wallet made in one of them (captured holds included),
+// and spendCredits, transferCredits, exchangeCurrency, authorizeHold and
+// captureHold all enforce the caps. Operator postings (reversals, journal
+// adjustments, expiry) are neither counted nor capped.
+
+// Transaction types whose debits a wallet's limits count and cap
+const LIMITED_TYPES = ['SPEND', 'TRANSFER', 'EXCHANGE'];
+
+function formatLimit(row) {
+  return {
+    limitId:           row.id,
+    assetCode:         row.asset_code,
+    accountId:         row.account_id,
+    maxPerTransaction: row.max_per_transaction === null ? null : money.normalize(row.max_per_transaction),
+    maxPerDay:         row.max_per_day === null ? null : money.normalize(row.max_per_day),
+    maxCountPerHour:   row.max_count_per_hour,
+    createdAt:         row.created_at,
+    updatedAt:         row.updated_at,
+  };
+}
+
+const LIMIT_COLUMNS = `
+  sl.*,
+  at.code AS asset_code`;
+
+/**
+ * The wallet's own rule and its asset's default, either possibly null.
+ */
+async function loadRules(client, account) {
+  const { rows } = await client.query(
+    `SELECT ${LIMIT_COLUMNS}
+     FROM spending_limits sl
+     JOIN asset_types at ON at.id = sl.asset_type_id
+     WHERE sl.asset_type_id = $1 AND (sl.account_id IS NULL OR sl.account_id = $2)`,
+    [account.asset_type_id, account.id]
+  );
+
+  return {
+    account: rows.find((r) => r.account_id) || null,
+    asset:   rows.find((r) => !r.account_id) || null,
+  };
+}
+
+function resolveLimits({ account, asset }) {
+  const pick = (column) => account?.[column] ?? asset?.[column] ?? null;
+  const amount = (column) => (pick(column) === null ? null : money.normalize(pick(column)));
+  return {
+    maxPerTransaction: amount('max_per_transaction'),
+    maxPerDay:         amount('max_per_day'),
+    maxCountPerHour:   pick('max_count_per_hour'),
+  };
+}
+
+async function loadUsage(client, accountId) {
+  const { rows } = await client.query(
+    `SELECT
+       COALESCE(SUM(le.amount), 0) AS spent_last_day,
+       COUNT(*) FILTER (WHERE le.created_at > NOW() - INTERVAL '1 hour')::int AS spends_last_hour
+     FROM ledger_entries le
+     JOIN transactions t ON t.id = le.transaction_id
+     WHERE le.account_id = $1
+       AND le.created_at > NOW() - INTERVAL '1 day'
+       AND le.amount > 0
+       AND t.type = ANY($2::transaction_type[])`,
+    [accountId, LIMITED_TYPES]
+  );
+
+  return {
+    spentLastDay:   money.normalize(rows[0].spent_last_day),
+    spendsLastHour: rows[0].spends_last_hour,
+  };
+}
+
+function limitExceeded(message, limit, max) {
+  const err = new Error(message);
+  err.code = 'LIMIT_EXCEEDED';
+  err.statusCode = 422;
+  err.details = { limit, max };
+  return err;
+}
+
+/**
+ * Reject a payment of `amount` out of `account` that would break one of
+ * its limits. Must run while the caller holds the wallet's balance row
+ * lock, so the usage read here can't change underneath it.
+ */
+async function enforceSpendingLimits(client, account, amount) {
+  const limits = resolveLimits(await loadRules(client, account));
+
+  if (limits.maxPerTransaction !== null && money.compare(amount, limits.maxPerTransaction) > 0) {
+    throw limitExceeded(
+      `Payment of ${amount} exceeds the per-transaction limit of ${limits.maxPerTransaction}`,
+      'maxPerTransaction',
+      limits.maxPerTransaction
+    );
+  }
+
+  if (limits.maxPerDay === null && limits.maxCountPerHour === null) return;
+
+  const usage = await loadUsage(client, account.id);
+
+  if (limits.maxCountPerHour !== null && usage.spendsLastHour >= limits.maxCountPerHour) {
+    throw limitExceeded(
+      `Payment count limit reached: ${usage.spendsLastHour} payments in the last hour (limit ${limits.maxCountPerHour})`,
+      'maxCountPerHour',
+      limits.maxCountPerHour
+    );
+  }
+
+  if (limits.maxPerDay !== null && money.compare(money.add(usage.spentLastDay, amount), limits.maxPerDay) > 0) {
+    throw limitExceeded(
+      `Daily spending limit exceeded: ${usage.spentLastDay} spent in the last 24 hours, ` +
+      `${amount} requested, limit ${limits.maxPerDay}`,
+      'maxPerDay',
+      limits.maxPerDay
+    );
+  }
+}
+
+
+// ADMIN: LIMIT RULES
+
+async function listLimits({ accountId, assetCode, limit = 50, offset = 0 } = {}) {
+  const params  = [limit, offset];
+  const filters = [];
+
+  if (accountId) {
+    params.push(accountId);
+    filters.push(`sl.account_id = $${params.length}`);
+  }
+  if (assetCode) {
+    params.push(assetCode.toUpperCase());
+    filters.push(`at.code = $${params.length}`);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT ${LIMIT_COLUMNS}
+     FROM spending_limits sl
+     JOIN asset_types at ON at.id = sl.asset_type_id
+     ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+     ORDER BY at.code, sl.account_id NULLS FIRST
+     LIMIT $1 OFFSET $2`,
+    params
+  );
+
+  return { limits: rows.map(formatLimit), pagination: { limit, offset } };
+}
+
+/**
+ * Insert or replace a rule. Caps left out are cleared at this level.
+ */
+async function upsertLimit(client, { assetTypeId, accountId, maxPerTransaction, maxPerDay, maxCountPerHour }) {
+  const target = accountId
+    ? '(account_id) WHERE account_id IS NOT NULL'
+    : '(asset_type_id) WHERE account_id IS NULL';
+
+  const { rows: [{ id }] } = await client.query(
+    `INSERT INTO spending_limits (asset_type_id, account_id, max_per_transaction, max_per_day, max_count_per_hour)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT ${target} DO UPDATE
+     SET max_per_transaction = EXCLUDED.max_per_transaction,
+         max_per_day         = EXCLUDED.max_per_day,
+         max_count_per_hour  = EXCLUDED.max_count_per_hour
+     RETURNING id`,
+    [assetTypeId, accountId || null, maxPerTransaction ?? null, maxPerDay ?? null, maxCountPerHour ?? null]
+  );
+
+  const { rows } = await client.query(
+    `SELECT ${LIMIT_COLUMNS}
+     FROM spending_limits sl
+     JOIN asset_types at ON at.id = sl.asset_type_id
+     WHERE sl.id = $1`,
+    [id]
+  );
+  return formatLimit(rows[0]);
+}
+
+async function setAssetLimit(assetCode, caps) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT id FROM asset_types WHERE code = $1 AND is_active = TRUE',
+      [assetCode]
+    );
+    if (!rows.length) {
+      const err = new Error(`Unknown asset type ${assetCode}`);
+      err.code = 'UNKNOWN_ASSET';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    return upsertLimit(client, { ...caps, assetTypeId: rows[0].id });
+  });
+}
+
+async function setAccountLimit(accountId, caps) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT id, account_type, asset_type_id FROM accounts WHERE id = $1',
+      [accountId]
+    );
+    const account = rows[0];
+
+    if (!account) {
+      const err = new Error(`Account ${accountId} not found`);
+      err.code = 'ACCOUNT_NOT_FOUND';
+      err.statusCode = 404;
+      throw err;
+    }
+
+    if (account.account_type !== 'USER') {
+      const err = new Error(`Account ${accountId} is not a user wallet`);
+      err.code = 'INVALID_ACCOUNT_TYPE';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    return upsertLimit(client, { ...caps, assetTypeId: account.asset_type_id, accountId });
+  });
+}
+
+async function deleteLimit(limitId) {
+  const { rowCount } = await pool.query('DELETE FROM spending_limits WHERE id = $1', [limitId]);
+  if (!rowCount) {
+    const err = new Error(`Spending limit ${limitId} not found`);
+    err.code = 'LIMIT_NOT_FOUND';
+    err.statusCode = 404;
+    throw err;
+  }
+  return { limitId, deleted: true };
+}
+
+/**
+ * The limits in force for a wallet, where each comes from, and how much
+ * of the rolling windows is already used.
+ */
+async function getAccountLimits(accountId) {
+  const { rows } = await pool.query(
+    'SELECT id, asset_type_id FROM accounts WHERE id = $1',
+    [accountId]
+  );
+  if (!rows.length) {
+    const err = new Error(`Account ${accountId} not found`);
+    err.code = 'ACCOUNT_NOT_FOUND';
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const rules = await loadRules(pool, rows[0]);
+
+  return {
+    accountId,
+    limits: resolveLimits(rules),
+    rules:  {
+      account: rules.account && formatLimit(rules.account),
+      asset:   rules.asset && formatLimit(rules.asset),
+    },
+    usage:  await loadUsage(pool, accountId),
+  };
+}
+
+module.exports = {
+  enforceSpendingLimits,
+  listLimits,
+  setAssetLimit,
+  setAccountLimit,
+  deleteLimit,
+  getAccountLimits,
+};
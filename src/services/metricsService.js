@@ -0,0 +1,74 @@
+'use strict';
+
+const { pool } = require('../config/database');
+const reconciliationService = require('./reconciliationService');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// SCRAPE-TIME METRICS
+// Gauges read fresh on every GET /metrics: the connection pool of this
+// process, and the latest reconciliation run, which any instance (or the
+// CLI) may have recorded.
+
+const poolConnections = metrics.gauge({
+  name:       'wallet_db_pool_connections',
+  help:       'Database pool clients by state: total, idle, and callers waiting for one.',
+  labelNames: ['state'],
+});
+
+const poolMax = metrics.gauge({
+  name: 'wallet_db_pool_max_connections',
+  help: 'Configured size of the database pool.',
+});
+
+const reconciliationTimestamp = metrics.gauge({
+  name: 'wallet_reconciliation_last_run_timestamp_seconds',
+  help: 'When the latest reconciliation run finished, as a Unix timestamp.',
+});
+
+const reconciliationConsistent = metrics.gauge({
+  name: 'wallet_reconciliation_last_run_consistent',
+  help: '1 if the latest reconciliation run found the ledger consistent, 0 if not.',
+});
+
+const reconciliationMismatches = metrics.gauge({
+  name:       'wallet_reconciliation_last_run_mismatches',
+  help:       'Mismatches found by the latest reconciliation run, by check.',
+  labelNames: ['check'],
+});
+
+async function collectReconciliation() {
+  const { runs: [run] } = await reconciliationService.listRuns({ limit: 1 });
+  if (!run) return;
+
+  reconciliationTimestamp.set({}, new Date(run.finishedAt).getTime() / 1000);
+  reconciliationConsistent.set({}, run.isConsistent ? 1 : 0);
+  reconciliationMismatches.set({ check: 'cache' }, run.cacheMismatches);
+  reconciliationMismatches.set({ check: 'unbalanced' }, run.unbalancedTransactions);
+  reconciliationMismatches.set({ check: 'chain' }, run.chainBreaks);
+}
+
+/**
+ * Every metric in the text exposition format. A failed reconciliation
+ * lookup leaves its gauges out rather than failing the scrape — the pool
+ * and request metrics matter most when the database is struggling.
+ */
+async function renderMetrics() {
+  poolConnections.set({ state: 'total' }, pool.totalCount);
+  poolConnections.set({ state: 'idle' }, pool.idleCount);
+  poolConnections.set({ state: 'waiting' }, pool.waitingCount);
+  poolMax.set({}, pool.options.max);
+
+  reconciliationTimestamp.reset();
+  reconciliationConsistent.reset();
+  reconciliationMismatches.reset();
+  try {
+    await collectReconciliation();
+  } catch (err) {
+    logger.error('Reading the latest reconciliation run failed', { component: 'metrics', err });
+  }
+
+  return metrics.render();
+}
+
+module.exports = { renderMetrics };
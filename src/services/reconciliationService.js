@@ -0,0 +1,250 @@
+'use strict';
+
+const { withTransaction, pool } = require('../config/database');
+const money = require('../utils/money');
+
+// FULL-LEDGER RECONCILIATION
+// Where verifyLedgerIntegrity checks one account on demand, a run checks
+// the whole ledger in a single snapshot:
+//
+//   cache      — account_balances.balance = -SUM(ledger_entries.amount)
+//   unbalanced — each transaction's entries sum to zero, per asset
+//   chain      — balance_after[n] = balance_after[n-1] - amount[n], per
+//                account in posting order (seq)
+//
+// Counts are exact; details are capped per check so a badly broken ledger
+// can't produce an unbounded report. The checks run in a read-only
+// snapshot, so a run doesn't hold locks across the ledger or make
+// concurrent wallet writes retry. With `rebuild`, cached balances that
+// disagree with the ledger are then overwritten from it — the ledger is
+// the source of truth.
+
+const MAX_REPORTED_PER_CHECK = 100;
+
+function formatRun(row) {
+  return {
+    runId:                  row.id,
+    triggeredBy:            row.triggered_by,
+    isConsistent:           row.is_consistent,
+    accountsChecked:        row.accounts_checked,
+    transactionsChecked:    row.transactions_checked,
+    cacheMismatches:        row.cache_mismatches,
+    unbalancedTransactions: row.unbalanced_transactions,
+    chainBreaks:            row.chain_breaks,
+    rebuild:                row.rebuild,
+    rebuiltAccounts:        row.rebuilt_accounts,
+    mismatches:             row.mismatches,
+    startedAt:              row.started_at,
+    finishedAt:             row.finished_at,
+  };
+}
+
+async function findCacheMismatches(client) {
+  const { rows } = await client.query(
+    `SELECT account_id, cached_balance, ledger_balance, COUNT(*) OVER () AS total
+     FROM (
+       SELECT ab.account_id, ab.balance AS cached_balance, COALESCE(-SUM(le.amount), 0) AS ledger_balance
+       FROM account_balances ab
+       LEFT JOIN ledger_entries le ON le.account_id = ab.account_id
+       GROUP BY ab.account_id, ab.balance
+     ) b
+     WHERE ABS(cached_balance - ledger_balance) >= 0.00000001
+     ORDER BY account_id
+     LIMIT $1`,
+    [MAX_REPORTED_PER_CHECK]
+  );
+
+  return {
+    total:   rows.length ? parseInt(rows[0].total) : 0,
+    details: rows.map((r) => ({
+      accountId:     r.account_id,
+      cachedBalance: money.normalize(r.cached_balance),
+      ledgerBalance: money.normalize(r.ledger_balance),
+      discrepancy:   money.sub(r.cached_balance, r.ledger_balance),
+    })),
+  };
+}
+
+async function findUnbalancedTransactions(client) {
+  const { rows } = await client.query(
+    `SELECT transaction_id, asset_type_id, SUM(amount) AS total_amount, COUNT(*) OVER () AS total
+     FROM ledger_entries
+     GROUP BY transaction_id, asset_type_id
+     HAVING ABS(SUM(amount)) >= 0.00000001
+     ORDER BY transaction_id
+     LIMIT $1`,
+    [MAX_REPORTED_PER_CHECK]
+  );
+
+  return {
+    total:   rows.length ? parseInt(rows[0].total) : 0,
+    details: rows.map((r) => ({
+      transactionId: r.transaction_id,
+      assetTypeId:   r.asset_type_id,
+      sum:           money.normalize(r.total_amount),
+    })),
+  };
+}
+
+async function findChainBreaks(client) {
+  const { rows } = await client.query(
+    `SELECT account_id, id, transaction_id, seq, expected, balance_after, COUNT(*) OVER () AS total
+     FROM (
+       SELECT le.account_id, le.id, le.transaction_id, le.seq, le.balance_after,
+              COALESCE(LAG(le.balance_after) OVER (PARTITION BY le.account_id ORDER BY le.seq), 0)
+                - le.amount AS expected
+       FROM ledger_entries le
+     ) chained
+     WHERE ABS(expected - balance_after) >= 0.00000001
+     ORDER BY account_id, seq
+     LIMIT $1`,
+    [MAX_REPORTED_PER_CHECK]
+  );
+
+  return {
+    total:   rows.length ? parseInt(rows[0].total) : 0,
+    details: rows.map((r) => ({
+      accountId:            r.account_id,
+      entryId:              r.id,
+      transactionId:        r.transaction_id,
+      expectedBalanceAfter: money.normalize(r.expected),
+      balanceAfter:         money.normalize(r.balance_after),
+    })),
+  };
+}
+
+/**
+ * Run `fn` in a read-only snapshot. DEFERRABLE waits for a snapshot that
+ * no concurrent write can invalidate, so the scan takes no predicate locks
+ * and can neither fail serialization nor cause wallet writes to.
+ */
+async function withSnapshot(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY, DEFERRABLE');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Every account whose cached balance disagrees with its ledger sum,
+ * uncapped — the candidates for a rebuild.
+ */
+async function findDriftedAccountIds(client) {
+  const { rows } = await client.query(
+    `SELECT ab.account_id
+     FROM account_balances ab
+     LEFT JOIN ledger_entries le ON le.account_id = ab.account_id
+     GROUP BY ab.account_id, ab.balance
+     HAVING ABS(ab.balance - COALESCE(-SUM(le.amount), 0)) >= 0.00000001`
+  );
+  return rows.map((r) => r.account_id);
+}
+
+/**
+ * Rewrite the cached balances of `accountIds` from their ledger. Each row
+ * is locked and its ledger summed again first: postings since the
+ * snapshot moved cache and ledger together, and one may already have
+ * been rebuilt by someone else.
+ * @returns {number} accounts rebuilt
+ */
+async function rebuildBalanceCache(accountIds) {
+  return withTransaction(async (client) => {
+    await client.query(
+      `SELECT account_id FROM account_balances
+       WHERE account_id = ANY($1::uuid[])
+       ORDER BY account_id
+       FOR UPDATE`,
+      [accountIds]
+    );
+
+    const { rowCount } = await client.query(
+      `UPDATE account_balances ab
+       SET balance = l.ledger_balance, version = ab.version + 1, updated_at = NOW()
+       FROM (
+         SELECT ab2.account_id, COALESCE(-SUM(le.amount), 0) AS ledger_balance
+         FROM account_balances ab2
+         LEFT JOIN ledger_entries le ON le.account_id = ab2.account_id
+         WHERE ab2.account_id = ANY($1::uuid[])
+         GROUP BY ab2.account_id
+       ) l
+       WHERE ab.account_id = l.account_id
+         AND ABS(ab.balance - l.ledger_balance) >= 0.00000001`,
+      [accountIds]
+    );
+    return rowCount;
+  });
+}
+
+/**
+ * Run every check over one consistent snapshot and store the outcome.
+ * The checks only read; with `rebuild`, the drifted accounts alone are
+ * then rewritten in a write transaction of their own.
+ */
+async function runReconciliation({ rebuild = false, triggeredBy = 'scheduler' } = {}) {
+  const startedAt = new Date();
+
+  const { counts, cache, unbalanced, chain, driftedIds } = await withSnapshot(async (client) => {
+    const { rows: [totals] } = await client.query(
+      `SELECT (SELECT COUNT(*) FROM account_balances)::int AS accounts,
+              (SELECT COUNT(*) FROM transactions)::int     AS transactions`
+    );
+    const found = {
+      counts:     totals,
+      cache:      await findCacheMismatches(client),
+      unbalanced: await findUnbalancedTransactions(client),
+      chain:      await findChainBreaks(client),
+    };
+    found.driftedIds = rebuild && found.cache.total ? await findDriftedAccountIds(client) : [];
+    return found;
+  });
+
+  const rebuiltAccounts = driftedIds.length ? await rebuildBalanceCache(driftedIds) : 0;
+
+  const { rows } = await pool.query(
+    `INSERT INTO reconciliation_runs
+       (triggered_by, accounts_checked, transactions_checked, cache_mismatches,
+        unbalanced_transactions, chain_breaks, is_consistent, rebuild, rebuilt_accounts,
+        mismatches, started_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      triggeredBy,
+      counts.accounts,
+      counts.transactions,
+      cache.total,
+      unbalanced.total,
+      chain.total,
+      !cache.total && !unbalanced.total && !chain.total,
+      rebuild,
+      rebuiltAccounts,
+      JSON.stringify({ cache: cache.details, unbalanced: unbalanced.details, chain: chain.details }),
+      startedAt,
+    ]
+  );
+
+  return formatRun(rows[0]);
+}
+
+async function listRuns({ limit = 20, offset = 0 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM reconciliation_runs
+     ORDER BY started_at DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+
+  return { runs: rows.map(formatRun), pagination: { limit, offset } };
+}
+
+module.exports = {
+  runReconciliation,
+  listRuns,
+};
@@ -0,0 +1,243 @@
+'use strict';
+
+const { pool } = require('../config/database');
+const money = require('../utils/money');
+
+// POINT-IN-TIME BALANCES AND STATEMENTS
+// Both read the ledger, never the balance cache. Each entry carries the
+// account's balance_after, so the balance at any instant is the
+// balance_after of the account's last entry up to that instant.
+//
+// "Last" is by seq, the posting order, not by created_at: created_at is
+// the posting transaction's start time, so two entries of an account can
+// carry timestamps in the reverse of the order they were applied (see
+// 013_reconciliation.sql). The entry with the newest timestamp may then
+// hold a stale balance_after; the one posted last never does.
+//
+// Amounts on statements use the same display sign as history:
+// positive = received, negative = spent.
+//
+// Both only read, so they serve accounts of any status: a closed wallet's
+// past periods still need statements for support and reconciliation.
+
+async function getAccount(accountId) {
+  const { rows } = await pool.query(
+    `SELECT a.id, a.external_id, a.name, a.account_type, a.status, at.code AS asset_code, at.name AS asset_name
+     FROM accounts a
+     JOIN asset_types at ON at.id = a.asset_type_id
+     WHERE a.id = $1`,
+    [accountId]
+  );
+
+  if (!rows.length) {
+    const err = new Error(`Account ${accountId} not found`);
+    err.code = 'ACCOUNT_NOT_FOUND';
+    err.statusCode = 404;
+    throw err;
+  }
+  return rows[0];
+}
+
+/**
+ * Last ledger entry posted to the account at `instant`: the highest seq
+ * among entries stamped up to and including it, or strictly before it
+ * with `exclusive`.
+ */
+async function lastEntryAt(accountId, instant, { exclusive = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT le.balance_after, le.transaction_id, le.created_at, t.type
+     FROM ledger_entries le
+     JOIN transactions t ON t.id = le.transaction_id
+     WHERE le.account_id = $1 AND le.created_at ${exclusive ? '<' : '<='} $2
+     ORDER BY le.seq DESC
+     LIMIT 1`,
+    [accountId, instant]
+  );
+  return rows[0] || null;
+}
+
+function accountSummary(account) {
+  return {
+    accountId:   account.id,
+    externalId:  account.external_id,
+    name:        account.name,
+    accountType: account.account_type,
+    status:      account.status,
+    asset: {
+      code: account.asset_code,
+      name: account.asset_name,
+    },
+  };
+}
+
+/**
+ * Balance of an account as of `at`. Zero, with no lastEntry, before the
+ * account's first posting.
+ */
+async function getBalanceAt(accountId, at) {
+  const account = await getAccount(accountId);
+  const entry   = await lastEntryAt(accountId, at);
+
+  return {
+    ...accountSummary(account),
+    at,
+    balance:   entry ? money.normalize(entry.balance_after) : '0',
+    lastEntry: entry && {
+      transactionId: entry.transaction_id,
+      type:          entry.type,
+      createdAt:     entry.created_at,
+    },
+  };
+}
+
+/**
+ * Every entry of an account in [from, to) in posting order, bracketed by
+ * the balance before the first and after the last, so balanceAfter runs
+ * as a chain from the opening balance to the closing one.
+ */
+async function getStatement(accountId, { from, to }) {
+  const account = await getAccount(accountId);
+  const opening = await lastEntryAt(accountId, from, { exclusive: true });
+
+  const { rows } = await pool.query(
+    `SELECT le.transaction_id, le.amount, le.balance_after, le.created_at,
+            t.type, t.reference_id, t.description
+     FROM ledger_entries le
+     JOIN transactions t ON t.id = le.transaction_id
+     WHERE le.account_id = $1 AND le.created_at >= $2 AND le.created_at < $3
+     ORDER BY le.seq ASC`,
+    [accountId, from, to]
+  );
+
+  const entries = rows.map((r) => ({
+    transactionId: r.transaction_id,
+    type:          r.type,
+    referenceId:   r.reference_id,
+    description:   r.description,
+    amount:        money.neg(r.amount),
+    balanceAfter:  money.normalize(r.balance_after),
+    createdAt:     r.created_at,
+  }));
+
+  const openingBalance = opening ? money.normalize(opening.balance_after) : '0';
+  const totalReceived  = money.add(...entries.filter((e) => money.sign(e.amount) > 0).map((e) => e.amount));
+  const totalSpent     = money.neg(money.add(...entries.filter((e) => money.sign(e.amount) < 0).map((e) => e.amount)));
+
+  return {
+    ...accountSummary(account),
+    from,
+    to,
+    openingBalance,
+    totalReceived,
+    totalSpent,
+    closingBalance: entries.length ? entries[entries.length - 1].balanceAfter : openingBalance,
+    entries,
+  };
+}
+
+
+// RENDERING
+
+const CSV_COLUMNS = ['date', 'transactionId', 'type', 'referenceId', 'description', 'amount', 'balance'];
+
+/**
+ * Quote a CSV field when needed. Free-text fields starting with a formula
+ * character are prefixed with ' so spreadsheets don't evaluate them.
+ */
+function csvField(value, { text = false } = {}) {
+  if (value === null || value === undefined) return '';
+  let field = value instanceof Date ? value.toISOString() : String(value);
+  if (text && /^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+function renderStatementCsv(statement) {
+  const line = (date, transactionId, type, referenceId, description, amount, balance) => [
+    csvField(date),
+    csvField(transactionId),
+    csvField(type),
+    csvField(referenceId, { text: true }),
+    csvField(description, { text: true }),
+    csvField(amount),
+    csvField(balance),
+  ].join(',');
+
+  return [
+    CSV_COLUMNS.join(','),
+    line(statement.from, null, 'OPENING_BALANCE', null, 'Opening balance', null, statement.openingBalance),
+    ...statement.entries.map((e) => line(
+      e.createdAt, e.transactionId, e.type, e.referenceId, e.description, e.amount, e.balanceAfter
+    )),
+    line(statement.to, null, 'CLOSING_BALANCE', null, 'Closing balance', null, statement.closingBalance),
+  ].join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderStatementHtml(statement) {
+  const date = (d) => escapeHtml(new Date(d).toISOString().replace('T', ' ').slice(0, 19) + ' UTC');
+  const rows = statement.entries.map((e) => `
+        <tr>
+          <td>${date(e.createdAt)}</td>
+          <td>${escapeHtml(e.type)}</td>
+          <td>${escapeHtml(e.description)}<div class="ref">${escapeHtml(e.referenceId)}</div></td>
+          <td class="num">${escapeHtml(e.amount)}</td>
+          <td class="num">${escapeHtml(e.balanceAfter)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Statement — ${escapeHtml(statement.name)} (${escapeHtml(statement.asset.code)})</title>
+  <style>
+    body  { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #222; margin: 2em; }
+    h1    { font-size: 20px; margin-bottom: 0; }
+    table { border-collapse: collapse; width: 100%; margin-top: 1.5em; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th    { background: #f4f4f4; }
+    .num  { text-align: right; font-variant-numeric: tabular-nums; }
+    .ref  { color: #777; font-size: 11px; }
+    .summary td { border: none; padding: 2px 8px; }
+    @media print { body { margin: 0; } th { background: none; } }
+  </style>
+</head>
+<body>
+  <h1>Account statement</h1>
+  <p>
+    ${escapeHtml(statement.name)} · ${escapeHtml(statement.externalId)}<br>
+    ${escapeHtml(statement.asset.name)} wallet ${escapeHtml(statement.accountId)}<br>
+    ${date(statement.from)} – ${date(statement.to)}
+  </p>
+  <table class="summary">
+    <tr><td>Opening balance</td><td class="num">${escapeHtml(statement.openingBalance)}</td></tr>
+    <tr><td>Received</td><td class="num">${escapeHtml(statement.totalReceived)}</td></tr>
+    <tr><td>Spent</td><td class="num">${escapeHtml(statement.totalSpent)}</td></tr>
+    <tr><td><strong>Closing balance</strong></td><td class="num"><strong>${escapeHtml(statement.closingBalance)}</strong></td></tr>
+  </table>
+  <table>
+    <thead>
+      <tr><th>Date</th><th>Type</th><th>Description</th><th class="num">Amount</th><th class="num">Balance</th></tr>
+    </thead>
+    <tbody>${rows || `
+        <tr><td colspan="5">No transactions in this period.</td></tr>`}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  getBalanceAt,
+  getStatement,
+  renderStatementCsv,
+  renderStatementHtml,
+};
@@ -1,30 +1,50 @@
 'use strict';
 
+const crypto = require('crypto');
 const { withTransaction, pool } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const { enforceSpendingLimits } = require('./limitService');
+const money = require('../utils/money');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
 
 
 // SYSTEM ACCOUNT LOOKUPS
 
-const SYSTEM_ACCOUNTS = {
-  TREASURY:    { externalId: 'SYSTEM_TREASURY_GOLD' },
-  DIAMONDS:    { externalId: 'SYSTEM_TREASURY_DIAMONDS' },
-  LOYALTY:     { externalId: 'SYSTEM_TREASURY_LOYALTY' },
-  REVENUE:     { externalId: 'SYSTEM_REVENUE_GOLD' },
-  BONUS_POOL:  { externalId: 'SYSTEM_BONUS_GOLD' },
+const SYSTEM_ROLE_LABELS = {
+  TREASURY:   'Treasury account',
+  REVENUE:    'Revenue account',
+  BONUS_POOL: 'Bonus pool',
 };
 
 /**
- * Resolve an account by its external ID.
- * Used to look up system accounts by their well-known IDs.
+ * Resolve an account by its external ID and asset.
+ * A user holds one wallet per asset, so the external ID alone is ambiguous.
  */
-async function getAccountByExternalId(client, externalId) {
+async function getAccountByExternalId(client, externalId, assetTypeId) {
   const { rows } = await client.query(
     `SELECT a.*, ab.balance
      FROM accounts a
      JOIN account_balances ab ON ab.account_id = a.id
-     WHERE a.external_id = $1 AND a.is_active = TRUE`,
-    [externalId]
+     WHERE a.external_id = $1 AND a.asset_type_id = $2 AND a.is_active = TRUE`,
+    [externalId, assetTypeId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Resolve the system account that plays `role` (TREASURY, REVENUE,
+ * BONUS_POOL) for an asset type, via the system_accounts mapping table.
+ * Does not lock — callers lock it together with the user account.
+ */
+async function getSystemAccount(client, assetTypeId, role) {
+  const { rows } = await client.query(
+    `SELECT a.*, ab.balance
+     FROM system_accounts sa
+     JOIN accounts a ON a.id = sa.account_id
+     JOIN account_balances ab ON ab.account_id = a.id
+     WHERE sa.asset_type_id = $1 AND sa.role = $2 AND a.is_active = TRUE`,
+    [assetTypeId, role]
   );
   return rows[0] || null;
 }
@@ -40,9 +60,10 @@ async function getAccountByExternalId(client, externalId) {
  */
 async function getAccountWithLock(client, accountId) {
   const { rows } = await client.query(
-    `SELECT a.*, ab.balance, ab.version
+    `SELECT a.*, ab.balance, ab.held, ab.version, at.code AS asset_code, at.precision AS asset_precision
      FROM accounts a
      JOIN account_balances ab ON ab.account_id = a.id
+     JOIN asset_types at ON at.id = a.asset_type_id
      WHERE a.id = $1 AND a.is_active = TRUE
      FOR UPDATE OF ab`,  // Lock only the balance row, not the account definition
     [accountId]
@@ -64,9 +85,10 @@ async function getAccountsWithLock(client, accountIds) {
   const sortedIds = [...new Set(accountIds)].sort();
 
   const { rows } = await client.query(
-    `SELECT a.*, ab.balance, ab.version
+    `SELECT a.*, ab.balance, ab.held, ab.version, at.code AS asset_code, at.precision AS asset_precision
      FROM accounts a
      JOIN account_balances ab ON ab.account_id = a.id
+     JOIN asset_types at ON at.id = a.asset_type_id
      WHERE a.id = ANY($1::uuid[]) AND a.is_active = TRUE
      ORDER BY a.id ASC
      FOR UPDATE OF ab`,
@@ -75,10 +97,342 @@ async function getAccountsWithLock(client, accountIds) {
   return rows;
 }
 
+/**
+ * Lock a user account together with the system counterparty serving its
+ * asset for `role`. The account is read once unlocked to learn its asset,
+ * then both rows are locked in UUID order via getAccountsWithLock.
+ */
+async function lockWithSystemAccount(client, accountId, role) {
+  const { rows } = await client.query(
+    `SELECT a.asset_type_id, at.code AS asset_code
+     FROM accounts a
+     JOIN asset_types at ON at.id = a.asset_type_id
+     WHERE a.id = $1 AND a.is_active = TRUE`,
+    [accountId]
+  );
+
+  if (!rows.length) {
+    const err = new Error(`Account ${accountId} not found or inactive`);
+    err.code = 'ACCOUNT_NOT_FOUND';
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const { asset_type_id: assetTypeId, asset_code: assetCode } = rows[0];
+
+  const systemAccount = await getSystemAccount(client, assetTypeId, role);
+  if (!systemAccount) {
+    throw Object.assign(
+      new Error(`${SYSTEM_ROLE_LABELS[role]} not configured for ${assetCode}`),
+      { statusCode: 500 }
+    );
+  }
+
+  const accounts = await getAccountsWithLock(client, [accountId, systemAccount.id]);
+  const userAccount = accounts.find((a) => a.id === accountId);
+
+  if (!userAccount) {
+    const err = new Error(`Account ${accountId} not found or inactive`);
+    err.code = 'ACCOUNT_NOT_FOUND';
+    err.statusCode = 404;
+    throw err;
+  }
+
+  // Ensure asset types match
+  if (userAccount.asset_type_id !== systemAccount.asset_type_id) {
+    const err = new Error(`Asset type mismatch between account and ${SYSTEM_ROLE_LABELS[role].toLowerCase()}`);
+    err.code = 'ASSET_MISMATCH';
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const systemLocked = accounts.find((a) => a.id === systemAccount.id);
+
+  return { userAccount, systemAccount: systemLocked || systemAccount };
+}
+
+/**
+ * Spendable part of a locked account's balance: the balance minus the
+ * amount reserved by authorized holds.
+ */
+function availableBalance(account) {
+  return money.sub(account.balance, account.held || 0);
+}
+
+/**
+ * Canonical string form of an amount of a locked account's asset. Digits
+ * beyond the asset's precision (asset_types.precision) are rejected, not
+ * rounded: 0.5 of a whole-unit asset is an error, never 0 or 1.
+ */
+function toAssetAmount(amount, account) {
+  if (money.scaleOf(amount) > account.asset_precision) {
+    const err = new Error(
+      `Amount ${amount} has more decimal places than the asset allows (${account.asset_precision})`
+    );
+    err.code = 'PRECISION_EXCEEDED';
+    err.statusCode = 400;
+    err.details = { precision: account.asset_precision };
+    throw err;
+  }
+  return money.normalize(amount);
+}
+
+/**
+ * Direction rule for account status: a FROZEN wallet can receive funds but
+ * not send them. Checked on user-initiated debits (spend, outgoing transfer,
+ * exchange, holds and their capture); corrections — reversals, journal
+ * adjustments, credit expiry — are operator or system actions and still
+ * apply. CLOSED accounts never get this far: the flows can't see them.
+ */
+function assertCanDebit(account) {
+  if (account.status === 'FROZEN') {
+    const err = new Error(`Account ${account.id} is frozen; it can receive funds but not spend or send them`);
+    err.code = 'ACCOUNT_FROZEN';
+    err.statusCode = 403;
+    throw err;
+  }
+}
+
+/**
+ * Post a balanced set of ledger entries (legs) for one transaction.
+ *
+ * Each leg moves `amount` of `assetTypeId` on `account`:
+ *   positive amount = DEBIT  (funds leaving the account)
+ *   negative amount = CREDIT (funds arriving at the account)
+ *
+ * Invariant: for every asset, the leg amounts sum to zero. A simple
+ * transfer is two legs; an exchange is four (two per asset).
+ *
+ * Accounts must already be locked (see getAccountsWithLock). An account
+ * may appear in several legs; its running balance carries across them and
+ * its cache row is updated once with the final balance.
+ *
+ * @param {object}   client         - DB client (within withTransaction)
+ * @param {string}   transactionId  - Parent transaction ID
+ * @param {string}   type           - Parent transaction type, for metrics
+ * @param {object[]} legs           - [{ account, amount, assetTypeId }], amounts as decimal strings
+ * @returns {Map<string, string>}   - accountId → balance after posting
+ */
+async function postLedgerEntries(client, transactionId, type, legs) {
+  const totals = new Map();
+  for (const { amount, assetTypeId } of legs) {
+    totals.set(assetTypeId, money.add(totals.get(assetTypeId) || 0, amount));
+  }
+  for (const [assetTypeId, total] of totals) {
+    if (money.sign(total) !== 0) {
+      const err = new Error(`Ledger legs for asset ${assetTypeId} do not balance (sum ${total})`);
+      err.code = 'UNBALANCED_ENTRIES';
+      err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  const balances = new Map();
+  const entries  = [];
+
+  for (const { account, amount, assetTypeId } of legs) {
+    const before = balances.has(account.id) ? balances.get(account.id) : money.normalize(account.balance);
+    const after  = money.sub(before, amount);
+    const held   = account.held || 0;
+
+    // For user accounts only: ensure balance cannot go negative, nor dip
+    // into funds reserved by authorized holds
+    if (account.account_type === 'USER' && money.compare(after, held) < 0) {
+      const err = new Error(
+        `Insufficient balance. Available: ${money.sub(before, held)}, Required: ${money.normalize(amount)}`
+      );
+      err.code = 'INSUFFICIENT_BALANCE';
+      err.statusCode = 422;
+      throw err;
+    }
+
+    balances.set(account.id, after);
+    entries.push([transactionId, account.id, assetTypeId, money.normalize(amount), after]);
+  }
+
+  for (const entry of entries) {
+    await client.query(
+      `INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, amount, balance_after)
+       VALUES ($1, $2, $3, $4, $5)`,
+      entry
+    );
+  }
+
+  // Update materialized balance cache once per account
+  for (const [accountId, balance] of balances) {
+    await client.query(
+      `UPDATE account_balances
+       SET balance = $2, version = version + 1, updated_at = NOW()
+       WHERE account_id = $1`,
+      [accountId, balance]
+    );
+  }
+
+  await syncCreditLots(client, transactionId, legs);
+  await notifyBalanceChanges(client, transactionId, legs, balances);
+  client.afterCommit(() => metrics.recordPosting(type, legs));
+
+  return balances;
+}
+
+// Postgres channel carrying one message per USER balance change
+const BALANCE_CHANNEL = 'wallet_balance';
+
+/**
+ * Announce the new balance of every USER account in a posting on
+ * BALANCE_CHANNEL, with a summary of the transaction. NOTIFY is
+ * transactional: listeners on any instance (see services/balanceStream)
+ * hear about it once the transaction commits, and never if it rolls back.
+ */
+async function notifyBalanceChanges(client, transactionId, legs, balances) {
+  const changes = new Map(); // accountId → net change (positive = funds arrived)
+  for (const { account, amount } of legs) {
+    if (account.account_type !== 'USER') continue;
+    changes.set(account.id, money.sub(changes.get(account.id) || 0, amount));
+  }
+  if (!changes.size) return;
+
+  const accountIds = [...changes.keys()];
+  await client.query(
+    `SELECT pg_notify($1, json_build_object(
+       'accountId',   c.account_id,
+       'balance',     trim_scale(c.balance)::text,
+       'held',        trim_scale(ab.held)::text,
+       'available',   trim_scale(c.balance - ab.held)::text,
+       'transaction', json_build_object(
+         'transactionId', t.id,
+         'referenceId',   t.reference_id,
+         'type',          t.type,
+         'change',        trim_scale(c.change)::text,
+         'description',   t.description
+       )
+     )::text)
+     FROM unnest($3::uuid[], $4::numeric[], $5::numeric[]) AS c(account_id, balance, change)
+     JOIN account_balances ab ON ab.account_id = c.account_id
+     JOIN transactions t ON t.id = $2`,
+    [
+      BALANCE_CHANNEL,
+      transactionId,
+      accountIds,
+      accountIds.map((id) => balances.get(id)),
+      accountIds.map((id) => changes.get(id)),
+    ]
+  );
+}
+
+/**
+ * Keep credit lots in step with a posting, for USER wallets whose asset
+ * expires (asset_types.credit_ttl_days). A net debit to a wallet consumes
+ * its open lots, oldest expiry first; a net credit opens lots.
+ *
+ * A credit only starts a fresh TTL when it is new value (a top-up, a
+ * bonus). Credits passed on from another wallet in the same posting keep
+ * the expiry of the lots they came out of — otherwise a transfer to a
+ * friend and back, or a reversal, would renew points indefinitely:
+ *
+ *   - same asset (transfers, reversals): the receiver gets one lot per
+ *     consumed slice, in the order the sender's lots were drawn down
+ *   - other asset (exchanges): the receiver's lot expires with the
+ *     earliest lot consumed, as amounts don't convert slice by slice
+ *
+ * Balance that predates lot tracking carries no expiry, so whatever it
+ * covers is treated as new value. Running here rather than in each flow
+ * means spends, transfers, exchanges, captures and the expiry sweeper
+ * itself all draw lots down the same way.
+ */
+async function syncCreditLots(client, transactionId, legs) {
+  const net = new Map(); // accountId → { assetTypeId, amount }
+  for (const { account, amount, assetTypeId } of legs) {
+    if (account.account_type !== 'USER') continue;
+    const entry = net.get(account.id) || { assetTypeId, amount: '0' };
+    entry.amount = money.add(entry.amount, amount);
+    net.set(account.id, entry);
+  }
+  if (!net.size) return;
+
+  const { rows: expiring } = await client.query(
+    `SELECT id, credit_ttl_days FROM asset_types
+     WHERE id = ANY($1::uuid[]) AND credit_ttl_days IS NOT NULL`,
+    [[...new Set([...net.values()].map((e) => e.assetTypeId))]]
+  );
+  if (!expiring.length) return;
+
+  const ttlDays = new Map(expiring.map((a) => [a.id, a.credit_ttl_days]));
+
+  // Debits first, so credits can inherit what they consumed
+  const consumed = new Map(); // assetTypeId → [{ amount, expiresAt }], in draw-down order
+  for (const [accountId, { assetTypeId, amount }] of net) {
+    if (!ttlDays.has(assetTypeId) || money.sign(amount) <= 0) continue;
+    const slices = await consumeCreditLots(client, accountId, amount);
+    consumed.set(assetTypeId, [...(consumed.get(assetTypeId) || []), ...slices]);
+  }
+
+  const earliest = [...consumed.values()].flat()
+    .reduce((min, slice) => (min === null || slice.expiresAt < min ? slice.expiresAt : min), null);
+
+  for (const [accountId, { assetTypeId, amount }] of net) {
+    if (!ttlDays.has(assetTypeId) || money.sign(amount) >= 0) continue;
+
+    const openLot = (lotAmount, expiresAt) => client.query(
+      `INSERT INTO credit_lots (account_id, asset_type_id, transaction_id, amount, remaining, expires_at)
+       VALUES ($1, $2, $3, $4, $4, COALESCE($5, NOW() + make_interval(days => $6)))`,
+      [accountId, assetTypeId, transactionId, lotAmount, expiresAt, ttlDays.get(assetTypeId)]
+    );
+
+    let left = money.neg(amount);
+    if (consumed.has(assetTypeId)) {
+      const sameAsset = consumed.get(assetTypeId);
+      while (money.sign(left) > 0 && sameAsset.length) {
+        const slice = sameAsset[0];
+        const take  = money.min(left, slice.amount);
+        await openLot(take, slice.expiresAt);
+        slice.amount = money.sub(slice.amount, take);
+        if (money.sign(slice.amount) <= 0) sameAsset.shift();
+        left = money.sub(left, take);
+      }
+      if (money.sign(left) > 0) await openLot(left, null);
+    } else {
+      await openLot(left, earliest);
+    }
+  }
+}
+
+/**
+ * Draw `amount` down from an account's open lots, FIFO by expiry. Anything
+ * beyond the open lots comes out of balance that predates lot tracking.
+ *
+ * @returns {Promise<Array<{amount: string, expiresAt: Date}>>} what each
+ *   lot gave up, in order
+ */
+async function consumeCreditLots(client, accountId, amount) {
+  const { rows: lots } = await client.query(
+    `SELECT id, remaining, expires_at
+     FROM credit_lots
+     WHERE account_id = $1 AND remaining > 0
+     ORDER BY expires_at ASC, created_at ASC
+     FOR UPDATE`,
+    [accountId]
+  );
+
+  const slices = [];
+  let left = amount;
+  for (const lot of lots) {
+    if (money.sign(left) <= 0) break;
+    const take = money.min(left, lot.remaining);
+    await client.query(
+      `UPDATE credit_lots SET remaining = GREATEST(remaining - $2, 0) WHERE id = $1`,
+      [lot.id, take]
+    );
+    slices.push({ amount: take, expiresAt: lot.expires_at });
+    left = money.sub(left, take);
+  }
+  return slices;
+}
+
 /**
  * Post a double-entry ledger entry pair.
  *
- * Every money movement involves exactly TWO entries:
+ * Every simple money movement involves exactly TWO entries:
  *   1. DEBIT on the source account  (positive amount  = funds leaving)
  *   2. CREDIT on the dest account   (negative amount  = funds arriving)
  *
@@ -86,133 +440,172 @@ async function getAccountsWithLock(client, accountIds) {
  *
  * @param {object} client         - DB client (within a transaction)
  * @param {string} transactionId  - Parent transaction ID
+ * @param {string} type           - Parent transaction type, for metrics
  * @param {object} debitAccount   - Account being debited (funds leave here)
  * @param {object} creditAccount  - Account being credited (funds arrive here)
- * @param {number} amount         - Positive amount to move
+ * @param {string} amount         - Positive amount to move
  * @param {string} assetTypeId    - Which asset is moving
  */
-async function postDoubleEntry(client, transactionId, debitAccount, creditAccount, amount, assetTypeId) {
-  const debitNewBalance  = parseFloat(debitAccount.balance)  - amount;
-  const creditNewBalance = parseFloat(creditAccount.balance) + amount;
-
-  // For user accounts only: ensure balance cannot go negative
-  if (creditAccount.account_type === 'USER' && creditAccount.balance !== undefined) {
-    // This branch is about the debit side going negative (spending more than available)
-  }
-  if (debitAccount.account_type === 'USER' && debitNewBalance < 0) {
-    const err = new Error(`Insufficient balance. Available: ${debitAccount.balance}, Required: ${amount}`);
-    err.code = 'INSUFFICIENT_BALANCE';
-    err.statusCode = 422;
-    throw err;
-  }
-
-  // Insert DEBIT entry (amount is positive = funds leaving debitAccount)
-  await client.query(
-    `INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, amount, balance_after)
-     VALUES ($1, $2, $3, $4, $5)`,
-    [transactionId, debitAccount.id, assetTypeId, amount, debitNewBalance]
-  );
-
-  // Insert CREDIT entry (amount is negative = funds entering creditAccount)
-  await client.query(
-    `INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, amount, balance_after)
-     VALUES ($1, $2, $3, $4, $5)`,
-    [transactionId, creditAccount.id, assetTypeId, -amount, creditNewBalance]
-  );
+async function postDoubleEntry(client, transactionId, type, debitAccount, creditAccount, amount, assetTypeId) {
+  const balances = await postLedgerEntries(client, transactionId, type, [
+    { account: debitAccount,  amount,          assetTypeId },
+    { account: creditAccount, amount: money.neg(amount), assetTypeId },
+  ]);
 
-  // Update materialized balance cache for both accounts
-  await client.query(
-    `UPDATE account_balances
-     SET balance = $2, version = version + 1, updated_at = NOW()
-     WHERE account_id = $1`,
-    [debitAccount.id, debitNewBalance]
-  );
+  return {
+    debitNewBalance:  balances.get(debitAccount.id),
+    creditNewBalance: balances.get(creditAccount.id),
+  };
+}
 
-  await client.query(
-    `UPDATE account_balances
-     SET balance = $2, version = version + 1, updated_at = NOW()
-     WHERE account_id = $1`,
-    [creditAccount.id, creditNewBalance]
-  );
+// JSON with object keys sorted at every level, so equal requests hash equally
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
 
-  return { debitNewBalance, creditNewBalance };
+/**
+ * SHA-256 of a request as a flow received it: the flow name plus every
+ * parameter but the referenceId. Stored with the key, so reusing a key for
+ * a different request can be told apart from a retry of the same one.
+ */
+function requestFingerprint(flow, params) {
+  return crypto.createHash('sha256').update(canonicalJson({ flow, params })).digest('hex');
 }
 
 /**
  * Check and return a cached idempotency response.
  * Returns the cached response if found, null otherwise.
+ *
+ * Must be the first statement of the flow's transaction. It takes a
+ * transaction-scoped advisory lock on the key first: a concurrent request
+ * holding it is still running under the same key, and this one fails fast
+ * with IN_PROGRESS rather than racing it to the reference_id constraint.
+ * Once the holder commits, a retry replays its stored response.
+ *
+ * The lock is keyed on a 64-bit hash of the key: with 32 bits, busy
+ * traffic would soon have unrelated keys collide and refuse each other.
  */
-async function checkIdempotency(client, referenceId) {
+async function checkIdempotency(client, referenceId, fingerprint) {
+  const { rows: [{ locked }] } = await client.query(
+    `SELECT pg_try_advisory_xact_lock(hashtextextended('idempotency:' || $1, 0)) AS locked`,
+    [referenceId]
+  );
+  if (!locked) {
+    const err = new Error(`A request with referenceId ${referenceId} is already in progress; retry shortly`);
+    err.code = 'IN_PROGRESS';
+    err.statusCode = 409;
+    throw err;
+  }
+
   const { rows } = await client.query(
-    `SELECT response_status, response_body
+    `SELECT response_status, response_body, request_hash
      FROM idempotency_keys
      WHERE key = $1 AND expires_at > NOW()`,
     [referenceId]
   );
-  return rows[0] || null;
+  const cached = rows[0];
+
+  // Keys stored before fingerprinting have no hash and always replay
+  if (cached && cached.request_hash && cached.request_hash !== fingerprint) {
+    const err = new Error(`referenceId ${referenceId} was already used for a different request`);
+    err.code = 'IDEMPOTENCY_KEY_REUSED';
+    err.statusCode = 409;
+    throw err;
+  }
+
+  return cached || null;
 }
 
 /**
  * Store the result of a transaction for idempotency.
  */
-async function storeIdempotencyResult(client, referenceId, statusCode, body) {
+async function storeIdempotencyResult(client, referenceId, statusCode, body, fingerprint) {
   await client.query(
-    `INSERT INTO idempotency_keys (key, response_status, response_body)
-     VALUES ($1, $2, $3)
+    `INSERT INTO idempotency_keys (key, response_status, response_body, request_hash)
+     VALUES ($1, $2, $3, $4)
      ON CONFLICT (key) DO NOTHING`,
-    [referenceId, statusCode, JSON.stringify(body)]
+    [referenceId, statusCode, JSON.stringify(body), fingerprint]
+  );
+}
+
+/**
+ * Delete expired idempotency keys, oldest first, in one batch. Expired
+ * keys are already ignored by checkIdempotency; this only reclaims space.
+ *
+ * @returns {number} how many keys were deleted
+ */
+async function purgeExpiredIdempotencyKeys({ batchSize = 1000 } = {}) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM idempotency_keys
+     WHERE key IN (
+       SELECT key FROM idempotency_keys
+       WHERE expires_at <= NOW()
+       ORDER BY expires_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )`,
+    [batchSize]
+  );
+  return rowCount;
+}
+
+/**
+ * Record a wallet event in the outbox, inside the caller's transaction.
+ * The event commits (or rolls back) together with the ledger entries;
+ * the webhook dispatcher delivers it afterwards (see webhookService).
+ */
+async function recordEvent(client, eventType, payload) {
+  await client.query(
+    `INSERT INTO outbox_events (event_type, transaction_id, payload)
+     VALUES ($1, $2, $3)`,
+    [eventType, payload.transactionId || null, JSON.stringify(payload)]
   );
 }
 
 
 // FLOW 1: WALLET TOP-UP
 // User purchases credits via a payment gateway.
-// Money flow: Treasury → User Wallet
+// Money flow: Treasury (of the wallet's asset) → User Wallet
+
+async function topUpWallet({ accountId, amount, referenceId, description, metadata, requestId }) {
+  const fingerprint = requestFingerprint('TOP_UP', { accountId, amount, description, metadata });
 
-async function topUpWallet({ accountId, amount, referenceId, description, metadata }) {
   return withTransaction(async (client) => {
     // 1. Idempotency check — if this referenceId was already processed,
     //    return the exact same response without any side effects.
-    const cached = await checkIdempotency(client, referenceId);
+    const cached = await checkIdempotency(client, referenceId, fingerprint);
     if (cached) {
       return { ...cached.response_body, idempotent: true };
     }
 
-    // 2. Look up the user account + treasury, acquiring locks in sorted order
-    //    to prevent deadlocks between concurrent top-up requests.
-    const treasury = await getAccountByExternalId(client, SYSTEM_ACCOUNTS.TREASURY.externalId);
-    if (!treasury) throw Object.assign(new Error('Treasury account not configured'), { statusCode: 500 });
-
-    const accounts = await getAccountsWithLock(client, [accountId, treasury.id]);
-    const userAccount = accounts.find((a) => a.id === accountId);
-
-    if (!userAccount) {
-      const err = new Error(`Account ${accountId} not found or inactive`);
-      err.code = 'ACCOUNT_NOT_FOUND';
-      err.statusCode = 404;
-      throw err;
-    }
-
-    // Ensure asset types match
-    if (userAccount.asset_type_id !== treasury.asset_type_id) {
-      throw Object.assign(new Error('Asset type mismatch between account and treasury'), { statusCode: 400 });
-    }
-
-    const treasuryLocked = accounts.find((a) => a.id === treasury.id);
+    // 2. Look up the user account + the treasury for its asset, acquiring
+    //    locks in sorted order to prevent deadlocks between concurrent top-ups.
+    const { userAccount, systemAccount: treasury } =
+      await lockWithSystemAccount(client, accountId, 'TREASURY');
+    amount = toAssetAmount(amount, userAccount);
 
     // 3. Create the parent transaction record
     const txId = uuidv4();
     await client.query(
       `INSERT INTO transactions (id, type, reference_id, description, metadata)
        VALUES ($1, 'TOP_UP', $2, $3, $4)`,
-      [txId, referenceId, description || 'Wallet top-up', JSON.stringify(metadata || {})]
+      [txId, referenceId, description || 'Wallet top-up', JSON.stringify({ ...metadata, requestId })]
     );
 
     // 4. Post double-entry: Treasury debited, User credited
     const { creditNewBalance } = await postDoubleEntry(
       client,
       txId,
-      treasuryLocked || treasury,  // debit: treasury (funds leave treasury)
+      'TOP_UP',
+      treasury,                     // debit: treasury (funds leave treasury)
       userAccount,                  // credit: user (funds arrive at user)
       amount,
       userAccount.asset_type_id
@@ -230,7 +623,8 @@ async function topUpWallet({ accountId, amount, referenceId, description, metada
     };
 
     // 5. Store idempotency result so duplicate requests are handled safely
-    await storeIdempotencyResult(client, referenceId, 201, result);
+    await recordEvent(client, 'wallet.top_up', result);
+    await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
 
     return result;
   });
@@ -239,109 +633,223 @@ async function topUpWallet({ accountId, amount, referenceId, description, metada
 
 // FLOW 2: BONUS / INCENTIVE
 // System issues free credits to a user (referral bonus, promo).
-// Money flow: Bonus Pool → User Wallet
-async function issueBonus({ accountId, amount, referenceId, description, metadata }) {
-  return withTransaction(async (client) => {
-    const cached = await checkIdempotency(client, referenceId);
-    if (cached) return { ...cached.response_body, idempotent: true };
+// Money flow: Bonus Pool (of the wallet's asset) → User Wallet
 
-    const bonusPool = await getAccountByExternalId(client, SYSTEM_ACCOUNTS.BONUS_POOL.externalId);
-    if (!bonusPool) throw Object.assign(new Error('Bonus pool not configured'), { statusCode: 500 });
+/**
+ * Body of the bonus flow, run on a client that is already inside a
+ * transaction. Shared by issueBonus (one bonus per transaction) and
+ * issueBonusBatch (a chunk of bonuses per transaction), which passes its
+ * own `fingerprint`.
+ */
+async function postBonus(client, { accountId, amount, referenceId, description, metadata, requestId, fingerprint }) {
+  fingerprint = fingerprint || requestFingerprint('BONUS', { accountId, amount, description, metadata });
+  const cached = await checkIdempotency(client, referenceId, fingerprint);
+  if (cached) return { ...cached.response_body, idempotent: true };
 
-    const accounts = await getAccountsWithLock(client, [accountId, bonusPool.id]);
-    const userAccount = accounts.find((a) => a.id === accountId);
+  const { userAccount, systemAccount: bonusPool } =
+    await lockWithSystemAccount(client, accountId, 'BONUS_POOL');
+  amount = toAssetAmount(amount, userAccount);
 
-    if (!userAccount) {
-      const err = new Error(`Account ${accountId} not found or inactive`);
-      err.code = 'ACCOUNT_NOT_FOUND';
-      err.statusCode = 404;
-      throw err;
-    }
+  const txId = uuidv4();
+  await client.query(
+    `INSERT INTO transactions (id, type, reference_id, description, metadata)
+     VALUES ($1, 'BONUS', $2, $3, $4)`,
+    [txId, referenceId, description || 'Bonus issued', JSON.stringify({ ...metadata, requestId })]
+  );
 
-    const bonusPoolLocked = accounts.find((a) => a.id === bonusPool.id);
+  // Bonus Pool → User
+  const { creditNewBalance } = await postDoubleEntry(
+    client,
+    txId,
+    'BONUS',
+    bonusPool,
+    userAccount,
+    amount,
+    userAccount.asset_type_id
+  );
 
-    const txId = uuidv4();
-    await client.query(
-      `INSERT INTO transactions (id, type, reference_id, description, metadata)
-       VALUES ($1, 'BONUS', $2, $3, $4)`,
-      [txId, referenceId, description || 'Bonus issued', JSON.stringify(metadata || {})]
-    );
+  const result = {
+    transactionId: txId,
+    referenceId,
+    type:          'BONUS',
+    accountId,
+    amount,
+    balanceAfter:  creditNewBalance,
+    description:   description || 'Bonus issued',
+    createdAt:     new Date().toISOString(),
+  };
 
-    // Bonus Pool → User
-    const { creditNewBalance } = await postDoubleEntry(
-      client,
-      txId,
-      bonusPoolLocked || bonusPool,
-      userAccount,
-      amount,
-      userAccount.asset_type_id
-    );
+  await recordEvent(client, 'wallet.bonus', result);
+  await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
+  return result;
+}
 
-    const result = {
-      transactionId: txId,
-      referenceId,
-      type:          'BONUS',
-      accountId,
-      amount,
-      balanceAfter:  creditNewBalance,
-      description:   description || 'Bonus issued',
-      createdAt:     new Date().toISOString(),
-    };
+async function issueBonus(params) {
+  return withTransaction((client) => postBonus(client, params));
+}
 
-    await storeIdempotencyResult(client, referenceId, 201, result);
-    return result;
-  });
+
+// FLOW 2b: BATCH BONUS (campaigns)
+// Credits many wallets from one request. Items are processed in chunks,
+// one withTransaction per chunk; inside a chunk every item runs under its
+// own SAVEPOINT so one bad item cannot sink its neighbours.
+//
+// Each item's referenceId is derived from (campaignId, accountId), so a
+// resubmitted campaign replays already-issued items from the idempotency
+// table and only posts what is missing. An item is fingerprinted on its
+// wallet (and so its asset) and amount only: a resubmission with the
+// description or metadata edited still replays, while a changed amount
+// is refused as IDEMPOTENCY_KEY_REUSED.
+
+const BONUS_BATCH_CHUNK_SIZE = 100;
+
+function campaignReferenceId(campaignId, accountId) {
+  return `campaign:${campaignId}:${accountId}`;
+}
+
+async function issueBonusBatch({ campaignId, items, description, metadata, requestId }) {
+  const results = [];
+
+  for (let i = 0; i < items.length; i += BONUS_BATCH_CHUNK_SIZE) {
+    const chunk = items.slice(i, i + BONUS_BATCH_CHUNK_SIZE);
+
+    try {
+      const chunkResults = await withTransaction(async (client) => {
+        // Lock every wallet in the chunk plus their bonus pools up front, in
+        // one sorted pass. Locking item by item would hold the pool while
+        // taking user rows out of order — a deadlock with concurrent /bonus.
+        const { rows: pools } = await client.query(
+          `SELECT DISTINCT sa.account_id
+           FROM accounts a
+           JOIN system_accounts sa ON sa.asset_type_id = a.asset_type_id AND sa.role = 'BONUS_POOL'
+           WHERE a.id = ANY($1::uuid[])`,
+          [chunk.map((item) => item.accountId)]
+        );
+        await getAccountsWithLock(client, [
+          ...chunk.map((item) => item.accountId),
+          ...pools.map((p) => p.account_id),
+        ]);
+
+        const itemResults = [];
+        for (const item of chunk) {
+          const referenceId = campaignReferenceId(campaignId, item.accountId);
+
+          await client.query('SAVEPOINT batch_item');
+          try {
+            const result = await postBonus(client, {
+              accountId:   item.accountId,
+              amount:      item.amount,
+              referenceId,
+              description: description || `Campaign ${campaignId} bonus`,
+              metadata:    { ...metadata, campaignId },
+              requestId,
+              fingerprint: requestFingerprint('BONUS_BATCH_ITEM', {
+                accountId: item.accountId,
+                amount:    money.normalize(item.amount),
+              }),
+            });
+            await client.query('RELEASE SAVEPOINT batch_item');
+
+            itemResults.push({
+              accountId:     item.accountId,
+              amount:        item.amount,
+              referenceId,
+              status:        result.idempotent ? 'DUPLICATE' : 'CREATED',
+              transactionId: result.transactionId,
+              balanceAfter:  result.balanceAfter,
+            });
+          } catch (err) {
+            // Serialization failures and deadlocks retry the whole chunk
+            if (err.code === '40001' || err.code === '40P01') throw err;
+
+            await client.query('ROLLBACK TO SAVEPOINT batch_item');
+            itemResults.push({
+              accountId: item.accountId,
+              amount:    item.amount,
+              referenceId,
+              status:    'FAILED',
+              error:     { code: err.code || 'INTERNAL_ERROR', message: err.message },
+            });
+          }
+        }
+        return itemResults;
+      });
+
+      results.push(...chunkResults);
+    } catch (err) {
+      // The chunk rolled back as a whole — nothing in it was posted, and a
+      // resubmission will pick these items up again.
+      logger.error('Bonus batch chunk failed', { component: 'bonus-batch', campaignId, err });
+      results.push(...chunk.map((item) => ({
+        accountId:   item.accountId,
+        amount:      item.amount,
+        referenceId: campaignReferenceId(campaignId, item.accountId),
+        status:      'FAILED',
+        error:       { code: 'INTERNAL_ERROR', message: 'Chunk could not be committed; resubmit to retry' },
+      })));
+    }
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+
+  return {
+    campaignId,
+    total:      results.length,
+    created:    count('CREATED'),
+    duplicates: count('DUPLICATE'),
+    failed:     count('FAILED'),
+    results,
+  };
 }
 
 
 // FLOW 3: SPEND / PURCHASE
 // User spends credits to buy something in the app.
-// Money flow: User Wallet → Revenue Account
+// Money flow: User Wallet → Revenue Account (of the wallet's asset)
+
+async function spendCredits({ accountId, amount, referenceId, description, metadata, requestId }) {
+  const fingerprint = requestFingerprint('SPEND', { accountId, amount, description, metadata });
 
-async function spendCredits({ accountId, amount, referenceId, description, metadata }) {
   return withTransaction(async (client) => {
-    const cached = await checkIdempotency(client, referenceId);
+    const cached = await checkIdempotency(client, referenceId, fingerprint);
     if (cached) return { ...cached.response_body, idempotent: true };
 
-    const revenue = await getAccountByExternalId(client, SYSTEM_ACCOUNTS.REVENUE.externalId);
-    if (!revenue) throw Object.assign(new Error('Revenue account not configured'), { statusCode: 500 });
-
     // Lock in sorted UUID order to prevent deadlocks
-    const accounts = await getAccountsWithLock(client, [accountId, revenue.id]);
-    const userAccount = accounts.find((a) => a.id === accountId);
+    const { userAccount, systemAccount: revenue } =
+      await lockWithSystemAccount(client, accountId, 'REVENUE');
 
-    if (!userAccount) {
-      const err = new Error(`Account ${accountId} not found or inactive`);
-      err.code = 'ACCOUNT_NOT_FOUND';
-      err.statusCode = 404;
-      throw err;
-    }
+    assertCanDebit(userAccount);
+    amount = toAssetAmount(amount, userAccount);
 
     // Validate sufficient balance BEFORE creating any records
-    if (parseFloat(userAccount.balance) < amount) {
+    if (money.compare(availableBalance(userAccount), amount) < 0) {
       const err = new Error(
-        `Insufficient balance. Available: ${userAccount.balance}, Required: ${amount}`
+        `Insufficient balance. Available: ${availableBalance(userAccount)}, Required: ${amount}`
       );
       err.code  = 'INSUFFICIENT_BALANCE';
       err.statusCode = 422;
       throw err;
     }
 
-    const revenueLocked = accounts.find((a) => a.id === revenue.id);
+    // Per-transaction / daily / hourly caps. The wallet's balance row is
+    // locked above, so concurrent spends see each other's usage.
+    await enforceSpendingLimits(client, userAccount, amount);
 
     const txId = uuidv4();
     await client.query(
       `INSERT INTO transactions (id, type, reference_id, description, metadata)
        VALUES ($1, 'SPEND', $2, $3, $4)`,
-      [txId, referenceId, description || 'Credit spend', JSON.stringify(metadata || {})]
+      [txId, referenceId, description || 'Credit spend', JSON.stringify({ ...metadata, requestId })]
     );
 
-    // User → Revenue (user is debited, revenue is credited)
+    // User → Revenue (user is debited, revenue is credited). For expiring
+    // assets this also consumes the oldest credit lots first.
     const { debitNewBalance } = await postDoubleEntry(
       client,
       txId,
+      'SPEND',
       userAccount,                  // debit: user (funds leave user)
-      revenueLocked || revenue,     // credit: revenue (funds arrive at revenue)
+      revenue,                      // credit: revenue (funds arrive at revenue)
       amount,
       userAccount.asset_type_id
     );
@@ -357,64 +865,1060 @@ async function spendCredits({ accountId, amount, referenceId, description, metad
       createdAt:     new Date().toISOString(),
     };
 
-    await storeIdempotencyResult(client, referenceId, 201, result);
+    await recordEvent(client, 'wallet.spend', result);
+    await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
     return result;
   });
 }
 
 
-// QUERY: GET BALANCE
-// Returns the cached balance (fast path) and the ledger-derived
-// balance (audit path) for a given account.
+// FLOW 4: PEER-TO-PEER TRANSFER
+// User sends credits to another user (gifting, trading between players).
+// Money flow: Sender Wallet → Recipient Wallet
 
-async function getBalance(accountId) {
-  const { rows } = await pool.query(
-    `SELECT
-       a.id,
-       a.external_id,
-       a.name,
-       a.account_type,
-       at.code         AS asset_code,
-       at.name         AS asset_name,
-       ab.balance      AS cached_balance,
-       ab.version,
-       ab.updated_at
-     FROM accounts a
-     JOIN asset_types at ON at.id = a.asset_type_id
-     JOIN account_balances ab ON ab.account_id = a.id
-     WHERE a.id = $1 AND a.is_active = TRUE`,
-    [accountId]
+async function transferCredits({ fromAccountId, toAccountId, amount, referenceId, description, metadata, requestId }) {
+  if (fromAccountId === toAccountId) {
+    const err = new Error('Cannot transfer to the same account');
+    err.code = 'SELF_TRANSFER';
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const fingerprint = requestFingerprint('TRANSFER', { fromAccountId, toAccountId, amount, description, metadata });
+
+  return withTransaction(async (client) => {
+    const cached = await checkIdempotency(client, referenceId, fingerprint);
+    if (cached) return { ...cached.response_body, idempotent: true };
+
+    // Both sides are user wallets, so neither is locked ahead of the other —
+    // sorted UUID order keeps opposing transfers (A→B, B→A) deadlock-free.
+    const accounts = await getAccountsWithLock(client, [fromAccountId, toAccountId]);
+    const sender    = accounts.find((a) => a.id === fromAccountId);
+    const recipient = accounts.find((a) => a.id === toAccountId);
+
+    for (const [id, account] of [[fromAccountId, sender], [toAccountId, recipient]]) {
+      if (!account) {
+        const err = new Error(`Account ${id} not found or inactive`);
+        err.code = 'ACCOUNT_NOT_FOUND';
+        err.statusCode = 404;
+        throw err;
+      }
+      if (account.account_type !== 'USER') {
+        const err = new Error(`Account ${id} is not a user wallet`);
+        err.code = 'INVALID_ACCOUNT_TYPE';
+        err.statusCode = 400;
+        throw err;
+      }
+    }
+
+    if (sender.asset_type_id !== recipient.asset_type_id) {
+      const err = new Error('Asset type mismatch between sender and recipient');
+      err.code = 'ASSET_MISMATCH';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    // A frozen recipient still receives; only the sender is checked
+    assertCanDebit(sender);
+    amount = toAssetAmount(amount, sender);
+
+    if (money.compare(availableBalance(sender), amount) < 0) {
+      const err = new Error(
+        `Insufficient balance. Available: ${availableBalance(sender)}, Required: ${amount}`
+      );
+      err.code  = 'INSUFFICIENT_BALANCE';
+      err.statusCode = 422;
+      throw err;
+    }
+
+    // A transfer drains a wallet as surely as a spend: same caps
+    await enforceSpendingLimits(client, sender, amount);
+
+    const txId = uuidv4();
+    await client.query(
+      `INSERT INTO transactions (id, type, reference_id, description, metadata)
+       VALUES ($1, 'TRANSFER', $2, $3, $4)`,
+      [txId, referenceId, description || 'Transfer', JSON.stringify({ ...metadata, requestId })]
+    );
+
+    // Sender → Recipient (sender is debited, recipient is credited)
+    const { debitNewBalance } = await postDoubleEntry(
+      client,
+      txId,
+      'TRANSFER',
+      sender,
+      recipient,
+      amount,
+      sender.asset_type_id
+    );
+
+    const result = {
+      transactionId: txId,
+      referenceId,
+      type:          'TRANSFER',
+      fromAccountId,
+      toAccountId,
+      amount,
+      balanceAfter:  debitNewBalance,
+      description:   description || 'Transfer',
+      createdAt:     new Date().toISOString(),
+    };
+
+    await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
+    return result;
+  });
+}
+
+
+// FLOW 5: CURRENCY EXCHANGE
+// User converts one asset into another at the current configured rate.
+// Money flow: User Wallet (from) → Treasury (from asset)
+//             Treasury (to asset) → User Wallet (to)
+
+/**
+ * Resolve the rate currently in effect for an asset pair: the newest
+ * version whose effective_from has passed.
+ */
+async function getCurrentExchangeRate(client, fromAssetTypeId, toAssetTypeId) {
+  const { rows } = await client.query(
+    `SELECT id, rate, version, effective_from
+     FROM exchange_rates
+     WHERE from_asset_type_id = $1 AND to_asset_type_id = $2 AND effective_from <= NOW()
+     ORDER BY effective_from DESC, version DESC
+     LIMIT 1`,
+    [fromAssetTypeId, toAssetTypeId]
+  );
+  return rows[0] || null;
+}
+
+async function exchangeCurrency({ fromAccountId, toAccountId, amount, referenceId, description, metadata, requestId }) {
+  if (fromAccountId === toAccountId) {
+    const err = new Error('Cannot exchange into the same account');
+    err.code = 'SELF_TRANSFER';
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const fingerprint = requestFingerprint('EXCHANGE', { fromAccountId, toAccountId, amount, description, metadata });
+
+  return withTransaction(async (client) => {
+    const cached = await checkIdempotency(client, referenceId, fingerprint);
+    if (cached) return { ...cached.response_body, idempotent: true };
+
+    // Read both wallets unlocked to learn their assets, so the two
+    // treasuries can be locked together with them in one sorted pass.
+    const { rows: wallets } = await client.query(
+      `SELECT a.id, a.external_id, a.account_type, a.asset_type_id,
+              at.code AS asset_code, at.precision AS asset_precision
+       FROM accounts a
+       JOIN asset_types at ON at.id = a.asset_type_id
+       WHERE a.id = ANY($1::uuid[]) AND a.is_active = TRUE`,
+      [[fromAccountId, toAccountId]]
+    );
+
+    for (const id of [fromAccountId, toAccountId]) {
+      const wallet = wallets.find((w) => w.id === id);
+      if (!wallet) {
+        const err = new Error(`Account ${id} not found or inactive`);
+        err.code = 'ACCOUNT_NOT_FOUND';
+        err.statusCode = 404;
+        throw err;
+      }
+      if (wallet.account_type !== 'USER') {
+        const err = new Error(`Account ${id} is not a user wallet`);
+        err.code = 'INVALID_ACCOUNT_TYPE';
+        err.statusCode = 400;
+        throw err;
+      }
+    }
+
+    const fromWallet = wallets.find((w) => w.id === fromAccountId);
+    const toWallet   = wallets.find((w) => w.id === toAccountId);
+
+    if (fromWallet.external_id !== toWallet.external_id) {
+      const err = new Error('Exchange wallets must belong to the same user');
+      err.code = 'OWNER_MISMATCH';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    if (fromWallet.asset_type_id === toWallet.asset_type_id) {
+      const err = new Error('Exchange requires wallets of two different assets');
+      err.code = 'ASSET_MISMATCH';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    amount = toAssetAmount(amount, fromWallet);
+
+    const rate = await getCurrentExchangeRate(client, fromWallet.asset_type_id, toWallet.asset_type_id);
+    if (!rate) {
+      const err = new Error(`No exchange rate configured from ${fromWallet.asset_code} to ${toWallet.asset_code}`);
+      err.code = 'RATE_NOT_CONFIGURED';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    // Rounded down to the target asset's precision
+    const convertedAmount = money.multiply(amount, rate.rate, toWallet.asset_precision);
+    if (money.sign(convertedAmount) <= 0) {
+      const err = new Error('Amount is too small to convert at the current rate');
+      err.code = 'VALIDATION_ERROR';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const fromTreasury = await getSystemAccount(client, fromWallet.asset_type_id, 'TREASURY');
+    const toTreasury   = await getSystemAccount(client, toWallet.asset_type_id, 'TREASURY');
+    for (const [treasury, code] of [[fromTreasury, fromWallet.asset_code], [toTreasury, toWallet.asset_code]]) {
+      if (!treasury) {
+        throw Object.assign(new Error(`Treasury account not configured for ${code}`), { statusCode: 500 });
+      }
+    }
+
+    // All four accounts in one sorted pass — deadlock-safe against
+    // concurrent top-ups, spends and exchanges touching the same rows.
+    const accounts = await getAccountsWithLock(
+      client,
+      [fromAccountId, toAccountId, fromTreasury.id, toTreasury.id]
+    );
+    const locked = (id) => accounts.find((a) => a.id === id);
+
+    const userFrom = locked(fromAccountId);
+    const userTo   = locked(toAccountId);
+    if (!userFrom || !userTo) {
+      const err = new Error(`Account ${userFrom ? toAccountId : fromAccountId} not found or inactive`);
+      err.code = 'ACCOUNT_NOT_FOUND';
+      err.statusCode = 404;
+      throw err;
+    }
+
+    assertCanDebit(userFrom);
+
+    if (money.compare(availableBalance(userFrom), amount) < 0) {
+      const err = new Error(
+        `Insufficient balance. Available: ${availableBalance(userFrom)}, Required: ${amount}`
+      );
+      err.code  = 'INSUFFICIENT_BALANCE';
+      err.statusCode = 422;
+      throw err;
+    }
+
+    // Caps of the source wallet, in its asset
+    await enforceSpendingLimits(client, userFrom, amount);
+
+    const exchange = {
+      rateId:          rate.id,
+      rate:            money.normalize(rate.rate),
+      rateVersion:     rate.version,
+      fromAsset:       fromWallet.asset_code,
+      toAsset:         toWallet.asset_code,
+      convertedAmount,
+    };
+
+    const txId = uuidv4();
+    await client.query(
+      `INSERT INTO transactions (id, type, reference_id, description, metadata)
+       VALUES ($1, 'EXCHANGE', $2, $3, $4)`,
+      [txId, referenceId, description || 'Currency exchange', JSON.stringify({ ...metadata, exchange, requestId })]
+    );
+
+    const fromTreasuryLocked = locked(fromTreasury.id) || fromTreasury;
+    const toTreasuryLocked   = locked(toTreasury.id)   || toTreasury;
+
+    const balances = await postLedgerEntries(client, txId, 'EXCHANGE', [
+      // User (from asset) → Treasury (from asset)
+      { account: userFrom,           amount,                              assetTypeId: fromWallet.asset_type_id },
+      { account: fromTreasuryLocked, amount: money.neg(amount),           assetTypeId: fromWallet.asset_type_id },
+      // Treasury (to asset) → User (to asset)
+      { account: toTreasuryLocked,   amount: convertedAmount,             assetTypeId: toWallet.asset_type_id },
+      { account: userTo,             amount: money.neg(convertedAmount),  assetTypeId: toWallet.asset_type_id },
+    ]);
+
+    const result = {
+      transactionId:   txId,
+      referenceId,
+      type:            'EXCHANGE',
+      fromAccountId,
+      toAccountId,
+      amount,
+      convertedAmount,
+      rate:            exchange.rate,
+      rateVersion:     exchange.rateVersion,
+      balanceAfter:    balances.get(fromAccountId),
+      toBalanceAfter:  balances.get(toAccountId),
+      description:     description || 'Currency exchange',
+      createdAt:       new Date().toISOString(),
+    };
+
+    await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
+    return result;
+  });
+}
+
+
+// FLOW 6: REVERSAL / REFUND
+// Undo all or part of an earlier transaction by posting its legs in
+// mirror image (undoing a SPEND: Revenue → User; clawing back a BONUS:
+// User → Bonus Pool). Several partial reversals may be posted, but never
+// more than the original amount in total.
+
+const REVERSIBLE_TYPES = ['TOP_UP', 'BONUS', 'SPEND', 'TRANSFER'];
+
+async function reverseTransaction({ transactionId, amount, referenceId, description, metadata, requestId }) {
+  const fingerprint = requestFingerprint('REVERSAL', { transactionId, amount, description, metadata });
+
+  return withTransaction(async (client) => {
+    const cached = await checkIdempotency(client, referenceId, fingerprint);
+    if (cached) return { ...cached.response_body, idempotent: true };
+
+    // Lock the original so concurrent reversals of it are serialized and
+    // cannot both pass the remaining-amount check below.
+    const { rows: originals } = await client.query(
+      'SELECT id, type FROM transactions WHERE id = $1 FOR UPDATE',
+      [transactionId]
+    );
+    const original = originals[0];
+
+    if (!original) {
+      const err = new Error(`Transaction ${transactionId} not found`);
+      err.code = 'TRANSACTION_NOT_FOUND';
+      err.statusCode = 404;
+      throw err;
+    }
+
+    if (!REVERSIBLE_TYPES.includes(original.type)) {
+      const err = new Error(`${original.type} transactions cannot be reversed`);
+      err.code = 'NOT_REVERSIBLE';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const { rows: legs } = await client.query(
+      `SELECT account_id, asset_type_id, amount
+       FROM ledger_entries
+       WHERE transaction_id = $1`,
+      [transactionId]
+    );
+
+    // Reversible types are single-asset pairs, so the debit leg carries
+    // the original amount, and each reversal's debit leg its own amount.
+    const originalAmount = money.add(...legs.filter((l) => money.sign(l.amount) > 0).map((l) => l.amount));
+
+    const { rows: reversedRows } = await client.query(
+      `SELECT COALESCE(SUM(le.amount), 0) AS reversed
+       FROM transactions t
+       JOIN ledger_entries le ON le.transaction_id = t.id
+       WHERE t.reverses_transaction_id = $1 AND le.amount > 0`,
+      [transactionId]
+    );
+    const remaining = money.sub(originalAmount, reversedRows[0].reversed);
+
+    if (money.sign(remaining) <= 0) {
+      const err = new Error(`Transaction ${transactionId} has already been fully reversed`);
+      err.code = 'ALREADY_REVERSED';
+      err.statusCode = 409;
+      throw err;
+    }
+
+    const reverseAmount = amount === undefined ? remaining : money.normalize(amount);
+    if (money.compare(reverseAmount, remaining) > 0) {
+      const err = new Error(
+        `Reversal exceeds the original amount. Remaining reversible: ${remaining}, Requested: ${reverseAmount}`
+      );
+      err.code = 'REVERSAL_EXCEEDS_ORIGINAL';
+      err.statusCode = 422;
+      throw err;
+    }
+
+    const accounts = await getAccountsWithLock(client, legs.map((l) => l.account_id));
+    for (const leg of legs) {
+      if (!accounts.some((a) => a.id === leg.account_id)) {
+        const err = new Error(`Account ${leg.account_id} not found or inactive`);
+        err.code = 'ACCOUNT_NOT_FOUND';
+        err.statusCode = 404;
+        throw err;
+      }
+    }
+    // Single-asset pairs: any leg's account carries the asset's precision
+    if (amount !== undefined) toAssetAmount(reverseAmount, accounts[0]);
+
+    const txId = uuidv4();
+    await client.query(
+      `INSERT INTO transactions (id, type, reference_id, description, metadata, reverses_transaction_id)
+       VALUES ($1, 'REVERSAL', $2, $3, $4, $5)`,
+      [
+        txId,
+        referenceId,
+        description || `Reversal of ${original.type}`,
+        JSON.stringify({ ...metadata, reversal: { originalType: original.type, amount: reverseAmount }, requestId }),
+        transactionId,
+      ]
+    );
+
+    // Mirror image: whoever was debited is credited, and vice versa
+    const mirrored = legs.map((l) => ({
+      account:     accounts.find((a) => a.id === l.account_id),
+      amount:      money.sign(l.amount) > 0 ? money.neg(reverseAmount) : reverseAmount,
+      assetTypeId: l.asset_type_id,
+    }));
+    const balances = await postLedgerEntries(client, txId, 'REVERSAL', mirrored);
+
+    const result = {
+      transactionId:         txId,
+      referenceId,
+      type:                  'REVERSAL',
+      reversesTransactionId: transactionId,
+      originalType:          original.type,
+      amount:                reverseAmount,
+      remainingReversible:   money.sub(remaining, reverseAmount),
+      // User-facing sign, as in getTransactionHistory: positive = received
+      accounts:              mirrored.map((l) => ({
+        accountId:    l.account.id,
+        amount:       money.neg(l.amount),
+        balanceAfter: balances.get(l.account.id),
+      })),
+      description:           description || `Reversal of ${original.type}`,
+      createdAt:             new Date().toISOString(),
+    };
+
+    await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
+    return result;
+  });
+}
+
+// FLOW 7: HOLDS (AUTHORIZE / CAPTURE / VOID)
+// Reserve funds before a marketplace item is delivered.
+//   authorize: account_balances.held += amount (no ledger entries)
+//   capture:   held -= amount, then a real SPEND: User Wallet → Revenue
+//   void:      held -= amount, nothing posted
+// Expired holds are released by expireHolds (see src/jobs/holdSweeper.js).
+//
+// Lock order is always hold row → balance rows, so capture, void and the
+// sweeper cannot deadlock against each other.
+
+const DEFAULT_HOLD_TTL_SECONDS = 15 * 60;
+
+function formatHold(h) {
+  return {
+    holdId:               h.id,
+    accountId:            h.account_id,
+    amount:               money.normalize(h.amount),
+    capturedAmount:       h.captured_amount === null ? null : money.normalize(h.captured_amount),
+    status:               h.status,
+    referenceId:          h.reference_id,
+    description:          h.description,
+    metadata:             h.metadata,
+    expiresAt:            h.expires_at,
+    captureTransactionId: h.capture_transaction_id,
+    resolvedAt:           h.resolved_at,
+    createdAt:            h.created_at,
+  };
+}
+
+async function getHoldWithLock(client, holdId) {
+  const { rows } = await client.query(
+    'SELECT * FROM holds WHERE id = $1 FOR UPDATE',
+    [holdId]
+  );
+
+  if (!rows.length) {
+    const err = new Error(`Hold ${holdId} not found`);
+    err.code = 'HOLD_NOT_FOUND';
+    err.statusCode = 404;
+    throw err;
+  }
+
+  return rows[0];
+}
+
+async function releaseHeld(client, accountId, amount) {
+  await client.query(
+    `UPDATE account_balances
+     SET held = held - $2, version = version + 1, updated_at = NOW()
+     WHERE account_id = $1`,
+    [accountId, amount]
   );
+}
+
+async function authorizeHold({ accountId, amount, referenceId, expiresInSeconds, description, metadata, requestId }) {
+  const fingerprint = requestFingerprint('HOLD', { accountId, amount, expiresInSeconds, description, metadata });
+
+  return withTransaction(async (client) => {
+    const cached = await checkIdempotency(client, referenceId, fingerprint);
+    if (cached) return { ...cached.response_body, idempotent: true };
+
+    const account = await getAccountWithLock(client, accountId);
+
+    if (!account) {
+      const err = new Error(`Account ${accountId} not found or inactive`);
+      err.code = 'ACCOUNT_NOT_FOUND';
+      err.statusCode = 404;
+      throw err;
+    }
+
+    if (account.account_type !== 'USER') {
+      const err = new Error(`Account ${accountId} is not a user wallet`);
+      err.code = 'INVALID_ACCOUNT_TYPE';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    assertCanDebit(account);
+    amount = toAssetAmount(amount, account);
+
+    if (money.compare(availableBalance(account), amount) < 0) {
+      const err = new Error(
+        `Insufficient balance. Available: ${availableBalance(account)}, Required: ${amount}`
+      );
+      err.code  = 'INSUFFICIENT_BALANCE';
+      err.statusCode = 422;
+      throw err;
+    }
+
+    // A hold is a spend in waiting: reject one the caps would refuse now,
+    // rather than at capture. Capture checks again against usage then.
+    await enforceSpendingLimits(client, account, amount);
+
+    const { rows } = await client.query(
+      `INSERT INTO holds (account_id, asset_type_id, amount, reference_id, description, metadata, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(secs => $7))
+       RETURNING *`,
+      [
+        accountId,
+        account.asset_type_id,
+        amount,
+        referenceId,
+        description || 'Hold',
+        JSON.stringify({ ...metadata, requestId }),
+        expiresInSeconds || DEFAULT_HOLD_TTL_SECONDS,
+      ]
+    );
+
+    await client.query(
+      `UPDATE account_balances
+       SET held = held + $2, version = version + 1, updated_at = NOW()
+       WHERE account_id = $1`,
+      [accountId, amount]
+    );
+
+    const result = {
+      ...formatHold(rows[0]),
+      availableAfter: money.sub(availableBalance(account), amount),
+    };
+
+    await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
+    return result;
+  });
+}
+
+/**
+ * Turn an authorized hold into a SPEND. `amount` may be less than the
+ * hold (partial capture); the remainder is released.
+ */
+async function captureHold({ holdId, amount, referenceId, description, metadata, requestId }) {
+  const fingerprint = requestFingerprint('CAPTURE', { holdId, amount, description, metadata });
+
+  return withTransaction(async (client) => {
+    const cached = await checkIdempotency(client, referenceId, fingerprint);
+    if (cached) return { ...cached.response_body, idempotent: true };
+
+    const hold = await getHoldWithLock(client, holdId);
+
+    if (hold.status !== 'AUTHORIZED') {
+      const err = new Error(`Hold ${holdId} is ${hold.status}`);
+      err.code = 'HOLD_NOT_ACTIVE';
+      err.statusCode = 409;
+      throw err;
+    }
+
+    if (new Date(hold.expires_at) <= new Date()) {
+      const err = new Error(`Hold ${holdId} expired at ${hold.expires_at.toISOString()}`);
+      err.code = 'HOLD_EXPIRED';
+      err.statusCode = 409;
+      throw err;
+    }
+
+    const heldAmount    = money.normalize(hold.amount);
+    const captureAmount = amount === undefined ? heldAmount : money.normalize(amount);
+
+    if (money.compare(captureAmount, heldAmount) > 0) {
+      const err = new Error(`Capture exceeds the hold. Held: ${heldAmount}, Requested: ${captureAmount}`);
+      err.code = 'CAPTURE_EXCEEDS_HOLD';
+      err.statusCode = 422;
+      throw err;
+    }
+
+    const { userAccount, systemAccount: revenue } =
+      await lockWithSystemAccount(client, hold.account_id, 'REVENUE');
+
+    // A hold authorized before the freeze can be voided, not captured
+    assertCanDebit(userAccount);
+    toAssetAmount(captureAmount, userAccount);
+
+    // Same caps as spendCredits, under the same row lock: spends since the
+    // authorization may have used up what the hold was allowed
+    await enforceSpendingLimits(client, userAccount, captureAmount);
+
+    // Release the whole reservation first; the SPEND below then draws on
+    // funds that are no longer held.
+    await releaseHeld(client, hold.account_id, heldAmount);
+    const released = {
+      ...userAccount,
+      held: money.sub(userAccount.held, heldAmount),
+    };
+
+    const txId = uuidv4();
+    await client.query(
+      `INSERT INTO transactions (id, type, reference_id, description, metadata)
+       VALUES ($1, 'SPEND', $2, $3, $4)`,
+      [
+        txId,
+        referenceId,
+        description || hold.description || 'Credit spend',
+        JSON.stringify({ ...hold.metadata, ...metadata, holdId, requestId }),
+      ]
+    );
+
+    // User → Revenue, exactly as spendCredits posts it
+    const { debitNewBalance } = await postDoubleEntry(
+      client,
+      txId,
+      'SPEND',
+      released,
+      revenue,
+      captureAmount,
+      userAccount.asset_type_id
+    );
+
+    const { rows } = await client.query(
+      `UPDATE holds
+       SET status = 'CAPTURED', captured_amount = $2, capture_transaction_id = $3, resolved_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [holdId, captureAmount, txId]
+    );
+
+    const result = {
+      ...formatHold(rows[0]),
+      transactionId: txId,
+      balanceAfter:  debitNewBalance,
+    };
+
+    // A capture is a SPEND as far as downstream services are concerned
+    await recordEvent(client, 'wallet.spend', {
+      transactionId: txId,
+      referenceId,
+      type:          'SPEND',
+      accountId:     hold.account_id,
+      amount:        captureAmount,
+      balanceAfter:  debitNewBalance,
+      holdId,
+      createdAt:     new Date().toISOString(),
+    });
+
+    await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
+    return result;
+  });
+}
+
+/**
+ * Release an authorized hold without posting anything. Voiding an
+ * already-voided hold is a no-op that returns it unchanged.
+ */
+async function voidHold(holdId) {
+  return withTransaction(async (client) => {
+    const hold = await getHoldWithLock(client, holdId);
+
+    if (hold.status === 'VOIDED') return formatHold(hold);
+
+    if (hold.status !== 'AUTHORIZED') {
+      const err = new Error(`Hold ${holdId} is ${hold.status}`);
+      err.code = 'HOLD_NOT_ACTIVE';
+      err.statusCode = 409;
+      throw err;
+    }
+
+    await getAccountsWithLock(client, [hold.account_id]);
+    await releaseHeld(client, hold.account_id, hold.amount);
+
+    const { rows } = await client.query(
+      `UPDATE holds SET status = 'VOIDED', resolved_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [holdId]
+    );
+    return formatHold(rows[0]);
+  });
+}
+
+async function getHold(holdId) {
+  const { rows } = await pool.query('SELECT * FROM holds WHERE id = $1', [holdId]);
 
   if (!rows.length) {
-    const err = new Error(`Account ${accountId} not found`);
-    err.code = 'ACCOUNT_NOT_FOUND';
+    const err = new Error(`Hold ${holdId} not found`);
+    err.code = 'HOLD_NOT_FOUND';
     err.statusCode = 404;
     throw err;
   }
 
-  const account = rows[0];
+  return formatHold(rows[0]);
+}
+
+/**
+ * Release authorized holds past their expiry, oldest first, in one batch.
+ * SKIP LOCKED lets several instances sweep concurrently and skips holds a
+ * capture or void is resolving right now.
+ *
+ * @returns {number} how many holds were expired
+ */
+async function expireHolds({ batchSize = 100 } = {}) {
+  return withTransaction(async (client) => {
+    const { rows: stale } = await client.query(
+      `SELECT id, account_id, amount
+       FROM holds
+       WHERE status = 'AUTHORIZED' AND expires_at <= NOW()
+       ORDER BY expires_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [batchSize]
+    );
+
+    if (!stale.length) return 0;
+
+    // Lock the affected balances in one sorted pass, like every other flow
+    await getAccountsWithLock(client, stale.map((h) => h.account_id));
+
+    for (const hold of stale) {
+      await releaseHeld(client, hold.account_id, hold.amount);
+    }
+
+    await client.query(
+      `UPDATE holds SET status = 'EXPIRED', resolved_at = NOW()
+       WHERE id = ANY($1::uuid[])`,
+      [stale.map((h) => h.id)]
+    );
+
+    return stale.length;
+  });
+}
+
+
+// FLOW 7b: CREDIT EXPIRY (scheduled)
+// Credits of an asset with credit_ttl_days expire that many days after
+// they are earned. The sweeper finds wallets with open lots past their
+// expires_at and posts one EXPIRY transaction per wallet back to the
+// asset's treasury. postLedgerEntries consumes the lots, and since expired
+// lots are always the oldest, FIFO takes exactly those.
+//
+// Expiry never dips into held funds: whatever is reserved by an authorized
+// hold stays in its lots and is picked up by a later sweep.
+// Money flow: User Wallet → Treasury (of the wallet's asset)
+
+async function expireCreditLots({ batchSize = 100 } = {}) {
+  return withTransaction(async (client) => {
+    const { rows: due } = await client.query(
+      `SELECT cl.account_id
+       FROM credit_lots cl
+       JOIN account_balances ab ON ab.account_id = cl.account_id
+       WHERE cl.remaining > 0 AND cl.expires_at <= NOW() AND ab.balance > ab.held
+       GROUP BY cl.account_id
+       ORDER BY MIN(cl.expires_at) ASC
+       LIMIT $1`,
+      [batchSize]
+    );
+
+    if (!due.length) return 0;
+
+    // Lock the wallets and their treasuries up front in one sorted pass
+    const accountIds = due.map((d) => d.account_id);
+    const { rows: treasuries } = await client.query(
+      `SELECT DISTINCT sa.account_id
+       FROM accounts a
+       JOIN system_accounts sa ON sa.asset_type_id = a.asset_type_id AND sa.role = 'TREASURY'
+       WHERE a.id = ANY($1::uuid[])`,
+      [accountIds]
+    );
+    await getAccountsWithLock(client, [...accountIds, ...treasuries.map((t) => t.account_id)]);
+
+    let expired = 0;
+    for (const { account_id: accountId } of due) {
+      const { userAccount, systemAccount: treasury } =
+        await lockWithSystemAccount(client, accountId, 'TREASURY');
+
+      // Re-read under the lock: a concurrent spend may have consumed lots
+      const { rows: lots } = await client.query(
+        `SELECT id, remaining
+         FROM credit_lots
+         WHERE account_id = $1 AND remaining > 0 AND expires_at <= NOW()`,
+        [accountId]
+      );
+      const dueAmount = money.add(...lots.map((lot) => lot.remaining));
+      const amount    = money.min(dueAmount, availableBalance(userAccount));
+      if (money.sign(amount) <= 0) continue;
+
+      const txId = uuidv4();
+      await client.query(
+        `INSERT INTO transactions (id, type, reference_id, description, metadata)
+         VALUES ($1, 'EXPIRY', $2, $3, $4)`,
+        [txId, `expiry:${txId}`, 'Credits expired', JSON.stringify({ lotIds: lots.map((l) => l.id) })]
+      );
+
+      await postDoubleEntry(client, txId, 'EXPIRY', userAccount, treasury, amount, userAccount.asset_type_id);
+      expired++;
+    }
+
+    return expired;
+  });
+}
+
+
+// FLOW 8: JOURNAL ADJUSTMENT (admin)
+// Arbitrary N-leg posting for finance corrections. Legs use the ledger
+// sign convention: positive = DEBIT (funds leaving the account),
+// negative = CREDIT (funds arriving). Per asset, legs must sum to zero.
+
+async function postJournal({ legs, reason, referenceId, metadata, requestId }) {
+  const fingerprint = requestFingerprint('ADJUSTMENT', { legs, reason, metadata });
+
+  return withTransaction(async (client) => {
+    const cached = await checkIdempotency(client, referenceId, fingerprint);
+    if (cached) return { ...cached.response_body, idempotent: true };
+
+    // Lock every account touched, in one sorted pass
+    const accounts = await getAccountsWithLock(client, legs.map((l) => l.accountId));
+
+    for (const { accountId } of legs) {
+      if (!accounts.some((a) => a.id === accountId)) {
+        const err = new Error(`Account ${accountId} not found or inactive`);
+        err.code = 'ACCOUNT_NOT_FOUND';
+        err.statusCode = 404;
+        throw err;
+      }
+    }
+
+    const postings = legs.map((l) => {
+      const account = accounts.find((a) => a.id === l.accountId);
+      return { account, amount: toAssetAmount(l.amount, account), assetTypeId: account.asset_type_id };
+    });
+
+    // Reject caller mistakes with a 400 here; postLedgerEntries re-checks
+    // the same invariant as a last line of defence.
+    const totals = new Map();
+    for (const { amount, assetTypeId } of postings) {
+      totals.set(assetTypeId, money.add(totals.get(assetTypeId) || 0, amount));
+    }
+    for (const [assetTypeId, total] of totals) {
+      if (money.sign(total) !== 0) {
+        const err = new Error(`Journal legs for asset ${assetTypeId} sum to ${total}, not zero`);
+        err.code = 'UNBALANCED_JOURNAL';
+        err.statusCode = 400;
+        throw err;
+      }
+    }
+
+    const txId = uuidv4();
+    await client.query(
+      `INSERT INTO transactions (id, type, reference_id, description, metadata)
+       VALUES ($1, 'ADJUSTMENT', $2, $3, $4)`,
+      [txId, referenceId, reason, JSON.stringify({ ...metadata, reason, requestId })]
+    );
+
+    const balances = await postLedgerEntries(client, txId, 'ADJUSTMENT', postings);
+
+    const result = {
+      transactionId: txId,
+      referenceId,
+      type:          'ADJUSTMENT',
+      reason,
+      legs:          postings.map((p) => ({
+        accountId:    p.account.id,
+        amount:       p.amount,
+        balanceAfter: balances.get(p.account.id),
+      })),
+      createdAt:     new Date().toISOString(),
+    };
+
+    await storeIdempotencyResult(client, referenceId, 201, result, fingerprint);
+    return result;
+  });
+}
+
+// QUERY: GET BALANCE
+// Returns the cached balance (fast path) and the ledger-derived
+// balance (audit path) for a given account.
 
+const BALANCE_COLUMNS = `
+  a.id,
+  a.external_id,
+  a.name,
+  a.account_type,
+  a.status,
+  at.code         AS asset_code,
+  at.name         AS asset_name,
+  ab.balance      AS cached_balance,
+  ab.held,
+  ab.version,
+  ab.updated_at`;
+
+function formatBalance(account) {
   return {
     accountId:    account.id,
     externalId:   account.external_id,
     name:         account.name,
     accountType:  account.account_type,
+    status:       account.status,
     asset: {
       code: account.asset_code,
       name: account.asset_name,
     },
-    balance:      parseFloat(account.cached_balance),
+    // balance = total; held = reserved by authorized holds; available = spendable
+    balance:      money.normalize(account.cached_balance),
+    held:         money.normalize(account.held),
+    available:    money.sub(account.cached_balance, account.held),
     version:      account.version,
     updatedAt:    account.updated_at,
   };
 }
 
+async function getBalance(accountId) {
+  const { rows } = await pool.query(
+    `SELECT ${BALANCE_COLUMNS}
+     FROM accounts a
+     JOIN asset_types at ON at.id = a.asset_type_id
+     JOIN account_balances ab ON ab.account_id = a.id
+     WHERE a.id = $1 AND a.is_active = TRUE`,
+    [accountId]
+  );
+
+  if (!rows.length) {
+    const err = new Error(`Account ${accountId} not found`);
+    err.code = 'ACCOUNT_NOT_FOUND';
+    err.statusCode = 404;
+    throw err;
+  }
+
+  // Next lots due to expire (assets with credit_ttl_days only)
+  const { rows: lots } = await pool.query(
+    `SELECT remaining, expires_at
+     FROM credit_lots
+     WHERE account_id = $1 AND remaining > 0
+     ORDER BY expires_at ASC
+     LIMIT 10`,
+    [accountId]
+  );
+
+  return {
+    ...formatBalance(rows[0]),
+    upcomingExpirations: lots.map((lot) => ({
+      amount:    money.normalize(lot.remaining),
+      expiresAt: lot.expires_at,
+    })),
+  };
+}
+
+
+// QUERY: GET USER WALLETS
+// Every active wallet (one per asset) held by an external user ID,
+// in the same shape as getBalance.
+
+async function getUserWallets(externalId) {
+  const { rows } = await pool.query(
+    `SELECT ${BALANCE_COLUMNS}
+     FROM accounts a
+     JOIN asset_types at ON at.id = a.asset_type_id
+     JOIN account_balances ab ON ab.account_id = a.id
+     WHERE a.external_id = $1 AND a.account_type = 'USER' AND a.is_active = TRUE
+     ORDER BY at.code ASC`,
+    [externalId]
+  );
+
+  return {
+    externalId,
+    wallets: rows.map(formatBalance),
+  };
+}
+
 
 // QUERY: GET TRANSACTION HISTORY
-// Paginated ledger history for an account.
+// Ledger history for an account, newest first, in one of two modes:
+//
+//   offset — LIMIT/OFFSET pages with a total count. Kept for existing
+//            callers; deep offsets are slow, and pages shift while new
+//            transactions arrive.
+//   cursor — keyset pages: each page resumes strictly after the last
+//            entry of the previous one in seq order. No count.
+//
+// History is in posting order (seq), not created_at order. created_at is
+// the posting transaction's start time, so a transaction that started
+// before a page was read but committed after it could stamp entries
+// behind a created_at cursor. seq is drawn at insert while the account's
+// balance row is locked, so anything committed after a page was read has
+// a higher seq than every entry on it: cursor pages never skip or repeat
+// entries, whatever is posted meanwhile.
+//
+// Both return nextCursor (null on the last page), so a caller can start in
+// either mode and continue with cursors.
+
+// Position of an entry in history order: its seq, as a string (BIGINT)
+const CURSOR_SEQ = /^[1-9]\d{0,18}$/;
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.seq])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let seq;
+  try {
+    [seq] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    // fall through to the check below
+  }
+
+  if (!CURSOR_SEQ.test(seq)) {
+    const err = new Error('Invalid history cursor');
+    err.code = 'INVALID_CURSOR';
+    err.statusCode = 400;
+    throw err;
+  }
+  return { seq };
+}
+
+/**
+ * History filters as SQL conditions, appending their values to `params`.
+ * Amount bounds apply to the size of the entry, whichever way it moved;
+ * metadata matches each given top-level key's value as text.
+ */
+function historyFilters(params, { type, from, to, minAmount, maxAmount, referenceIdPrefix, metadata }) {
+  const filters = [];
+  const add = (sql, value) => {
+    params.push(value);
+    filters.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (type)                    add('t.type = ?', type.toUpperCase());
+  if (from)                    add('le.created_at >= ?', from);
+  if (to)                      add('le.created_at < ?', to);
+  if (minAmount !== undefined) add('ABS(le.amount) >= ?', minAmount);
+  if (maxAmount !== undefined) add('ABS(le.amount) <= ?', maxAmount);
+  if (referenceIdPrefix) {
+    add(`t.reference_id LIKE ? ESCAPE '\\'`, `${referenceIdPrefix.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  for (const [key, value] of Object.entries(metadata || {})) {
+    params.push(key, String(value));
+    filters.push(`t.metadata ->> $${params.length - 1} = $${params.length}`);
+  }
+
+  return filters;
+}
 
-async function getTransactionHistory(accountId, { limit = 20, offset = 0, type } = {}) {
+async function getTransactionHistory(accountId, {
+  limit = 20,
+  offset = 0,
+  cursor,
+  pagination = cursor ? 'cursor' : 'offset',
+  ...filterOptions
+} = {}) {
   // Verify account exists
   const accountCheck = await pool.query(
     'SELECT id FROM accounts WHERE id = $1 AND is_active = TRUE',
@@ -427,63 +1931,79 @@ async function getTransactionHistory(accountId, { limit = 20, offset = 0, type }
     throw err;
   }
 
-  const params = [accountId, limit, offset];
-  let typeFilter = '';
-  if (type) {
-    params.push(type.toUpperCase());
-    typeFilter = `AND t.type = $${params.length}`;
+  const params  = [accountId];
+  const filters = ['le.account_id = $1', ...historyFilters(params, filterOptions)];
+  const where   = filters.join(' AND ');
+
+  // One row past the page tells whether there is a next one
+  const pageParams = [...params];
+  let keyset = '';
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    pageParams.push(after.seq);
+    keyset = `AND le.seq < $${pageParams.length}::bigint`;
+  }
+  pageParams.push(limit + 1);
+  let window = `LIMIT $${pageParams.length}`;
+  if (pagination === 'offset') {
+    pageParams.push(offset);
+    window += ` OFFSET $${pageParams.length}`;
   }
 
   const { rows } = await pool.query(
     `SELECT
+       le.seq,
        t.id            AS transaction_id,
        t.type,
        t.reference_id,
        t.description,
        t.metadata,
+       t.reverses_transaction_id,
        le.amount,
        le.balance_after,
-       t.created_at
+       le.created_at
      FROM ledger_entries le
      JOIN transactions t ON t.id = le.transaction_id
-     WHERE le.account_id = $1
-     ${typeFilter}
-     ORDER BY t.created_at DESC
-     LIMIT $2 OFFSET $3`,
-    params
+     WHERE ${where} ${keyset}
+     ORDER BY le.seq DESC
+     ${window}`,
+    pageParams
   );
 
-  const countParams = [accountId];
-  let countTypeFilter = '';
-  if (type) {
-    countParams.push(type.toUpperCase());
-    countTypeFilter = `AND t.type = $${countParams.length}`;
-  }
+  const page = rows.slice(0, limit);
+  const result = {
+    accountId,
+    pagination,
+    limit,
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
 
-  const { rows: countRows } = await pool.query(
-    `SELECT COUNT(*)::int AS total
-     FROM ledger_entries le
-     JOIN transactions t ON t.id = le.transaction_id
-     WHERE le.account_id = $1 ${countTypeFilter}`,
-    countParams
-  );
+  if (pagination === 'offset') {
+    const { rows: countRows } = await pool.query(
+      `SELECT COUNT(*)::int AS total
+       FROM ledger_entries le
+       JOIN transactions t ON t.id = le.transaction_id
+       WHERE ${where}`,
+      params
+    );
+    Object.assign(result, { total: countRows[0].total, offset });
+  }
 
   return {
-    accountId,
-    total:       countRows[0].total,
-    limit,
-    offset,
-    entries:     rows.map((r) => ({
+    ...result,
+    entries: page.map((r) => ({
       transactionId: r.transaction_id,
       type:          r.type,
       referenceId:   r.reference_id,
       description:   r.description,
       metadata:      r.metadata,
+      // Set on REVERSAL entries: the transaction being undone
+      reversesTransactionId: r.reverses_transaction_id,
       // Positive amount = funds left this account (debit)
       // Negative amount = funds arrived at this account (credit)
       // We invert for user-facing display: positive = received, negative = spent
-      amount:        -parseFloat(r.amount),
-      balanceAfter:  parseFloat(r.balance_after),
+      amount:        money.neg(r.amount),
+      balanceAfter:  money.normalize(r.balance_after),
       createdAt:     r.created_at,
     })),
   };
@@ -534,12 +2054,305 @@ async function listAccounts({ accountType, assetCode, limit = 50, offset = 0 } =
       code: r.asset_code,
       name: r.asset_name,
     },
-    balance:    parseFloat(r.balance),
+    balance:    money.normalize(r.balance),
     createdAt:  r.created_at,
   }));
 }
 
 
+// ADMIN: ACCOUNT PROVISIONING
+// Creates USER wallets and moves them between statuses (ACTIVE, FROZEN,
+// CLOSED). is_active is derived from status: FALSE only when CLOSED.
+
+const ACCOUNT_COLUMNS = `
+  a.id,
+  a.external_id,
+  a.name,
+  a.account_type,
+  a.asset_type_id,
+  a.status,
+  a.is_active,
+  at.code  AS asset_code,
+  at.name  AS asset_name,
+  ab.balance,
+  a.created_at,
+  a.updated_at`;
+
+function formatAccount(r) {
+  return {
+    accountId:   r.id,
+    externalId:  r.external_id,
+    name:        r.name,
+    accountType: r.account_type,
+    asset: {
+      code: r.asset_code,
+      name: r.asset_name,
+    },
+    balance:     money.normalize(r.balance),
+    status:      r.status,
+    isActive:    r.is_active,
+    createdAt:   r.created_at,
+    updatedAt:   r.updated_at,
+  };
+}
+
+/**
+ * Create a USER wallet for an external (auth system) user ID.
+ *
+ * The account and its account_balances row are written in the same
+ * transaction, so a wallet can never exist without a balance row.
+ * Idempotent on (externalId, asset): provisioning an existing wallet
+ * returns it unchanged with `idempotent: true`. The same user may hold
+ * one wallet per asset.
+ */
+async function createAccount({ externalId, assetCode, name }) {
+  return withTransaction(async (client) => {
+    const { rows: assets } = await client.query(
+      'SELECT id FROM asset_types WHERE code = $1 AND is_active = TRUE',
+      [assetCode]
+    );
+    if (!assets.length) {
+      const err = new Error(`Unknown asset type ${assetCode}`);
+      err.code = 'UNKNOWN_ASSET';
+      err.statusCode = 400;
+      throw err;
+    }
+    const assetTypeId = assets[0].id;
+
+    // ON CONFLICT keeps concurrent provisioning of the same user from
+    // surfacing a unique violation; the loser reads the winner's row below.
+    const { rows: inserted } = await client.query(
+      `INSERT INTO accounts (external_id, account_type, name, asset_type_id)
+       VALUES ($1, 'USER', $2, $3)
+       ON CONFLICT (external_id, asset_type_id) DO NOTHING
+       RETURNING id`,
+      [externalId, name || externalId, assetTypeId]
+    );
+
+    if (inserted.length) {
+      await client.query(
+        `INSERT INTO account_balances (account_id, asset_type_id, balance)
+         VALUES ($1, $2, 0)`,
+        [inserted[0].id, assetTypeId]
+      );
+    }
+
+    const { rows } = await client.query(
+      `SELECT ${ACCOUNT_COLUMNS}
+       FROM accounts a
+       JOIN asset_types at ON at.id = a.asset_type_id
+       JOIN account_balances ab ON ab.account_id = a.id
+       WHERE a.external_id = $1 AND a.asset_type_id = $2`,
+      [externalId, assetTypeId]
+    );
+    const account = rows[0];
+
+    return inserted.length
+      ? formatAccount(account)
+      : { ...formatAccount(account), idempotent: true };
+  });
+}
+
+// What each status change may start from. Asking for the status an
+// account already has is a no-op; anything else is rejected. Unfreezing,
+// with its reason, is the only way out of FROZEN: a frozen wallet can't be
+// closed, or closing and reactivating it would lift the freeze.
+const STATUS_CHANGES = {
+  freeze:     { from: ['ACTIVE'], to: 'FROZEN' },
+  unfreeze:   { from: ['FROZEN'], to: 'ACTIVE' },
+  deactivate: { from: ['ACTIVE'], to: 'CLOSED' },
+  reactivate: { from: ['CLOSED'], to: 'ACTIVE' },
+};
+
+/**
+ * Move a USER wallet to another status and record who did it and why in
+ * account_status_history.
+ *
+ * Rules:
+ *   - System accounts cannot be changed here; every flow depends on them.
+ *   - A wallet can only be closed at a zero balance. Closed accounts are
+ *     invisible to every flow and query, so funds left in one would be
+ *     stranded. Drain it (spend or transfer) first.
+ *   - Freezing and reactivation have no balance rule.
+ *
+ * The account and balance rows are locked FOR UPDATE, so a concurrent
+ * top-up cannot land between the zero-balance check and the close, and a
+ * spend in flight finishes before a freeze takes effect.
+ */
+async function changeAccountStatus(accountId, change, { reason, actor }) {
+  const { from, to } = STATUS_CHANGES[change];
+
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `SELECT a.id, a.account_type, a.status, ab.balance
+       FROM accounts a
+       JOIN account_balances ab ON ab.account_id = a.id
+       WHERE a.id = $1
+       FOR UPDATE OF a, ab`,
+      [accountId]
+    );
+    const account = rows[0];
+
+    if (!account) {
+      const err = new Error(`Account ${accountId} not found`);
+      err.code = 'ACCOUNT_NOT_FOUND';
+      err.statusCode = 404;
+      throw err;
+    }
+
+    if (account.account_type !== 'USER') {
+      const err = new Error(`Account ${accountId} is not a user wallet`);
+      err.code = 'INVALID_ACCOUNT_TYPE';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    if (account.status !== to) {
+      if (!from.includes(account.status)) {
+        const err = new Error(`Cannot ${change} account ${accountId}: it is ${account.status}`);
+        err.code = 'INVALID_STATUS_TRANSITION';
+        err.statusCode = 409;
+        throw err;
+      }
+
+      if (to === 'CLOSED' && money.sign(account.balance) !== 0) {
+        const err = new Error(
+          `Account ${accountId} still holds a balance of ${money.normalize(account.balance)}; it must be zero to deactivate`
+        );
+        err.code = 'BALANCE_NOT_ZERO';
+        err.statusCode = 409;
+        throw err;
+      }
+
+      await client.query('UPDATE accounts SET status = $2 WHERE id = $1', [accountId, to]);
+      await client.query(
+        `INSERT INTO account_status_history (account_id, from_status, to_status, reason, actor)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [accountId, account.status, to, reason || null, actor]
+      );
+    }
+
+    const { rows: updated } = await client.query(
+      `SELECT ${ACCOUNT_COLUMNS}
+       FROM accounts a
+       JOIN asset_types at ON at.id = a.asset_type_id
+       JOIN account_balances ab ON ab.account_id = a.id
+       WHERE a.id = $1`,
+      [accountId]
+    );
+    return formatAccount(updated[0]);
+  });
+}
+
+async function freezeAccount(accountId, { reason, actor = 'system' } = {}) {
+  return changeAccountStatus(accountId, 'freeze', { reason, actor });
+}
+
+async function unfreezeAccount(accountId, { reason, actor = 'system' } = {}) {
+  return changeAccountStatus(accountId, 'unfreeze', { reason, actor });
+}
+
+async function deactivateAccount(accountId, { reason, actor = 'system' } = {}) {
+  return changeAccountStatus(accountId, 'deactivate', { reason, actor });
+}
+
+async function reactivateAccount(accountId, { reason, actor = 'system' } = {}) {
+  return changeAccountStatus(accountId, 'reactivate', { reason, actor });
+}
+
+/**
+ * Current status of an account and every change to it, newest first.
+ */
+async function getAccountStatusHistory(accountId) {
+  const { rows: accounts } = await pool.query('SELECT status FROM accounts WHERE id = $1', [accountId]);
+  if (!accounts.length) {
+    const err = new Error(`Account ${accountId} not found`);
+    err.code = 'ACCOUNT_NOT_FOUND';
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM account_status_history
+     WHERE account_id = $1
+     ORDER BY created_at DESC`,
+    [accountId]
+  );
+
+  return {
+    accountId,
+    status:  accounts[0].status,
+    history: rows.map((r) => ({
+      fromStatus: r.from_status,
+      toStatus:   r.to_status,
+      reason:     r.reason,
+      actor:      r.actor,
+      changedAt:  r.created_at,
+    })),
+  };
+}
+
+
+// ADMIN: EXCHANGE RATES
+// Rates are versioned: publishing a rate inserts the next version for the
+// pair instead of overwriting, so past EXCHANGE transactions stay traceable.
+
+function formatExchangeRate(r) {
+  return {
+    rateId:        r.id,
+    fromAsset:     r.from_code,
+    toAsset:       r.to_code,
+    rate:          money.normalize(r.rate),
+    version:       r.version,
+    effectiveFrom: r.effective_from,
+    createdAt:     r.created_at,
+  };
+}
+
+async function listExchangeRates() {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT ON (er.from_asset_type_id, er.to_asset_type_id)
+       er.*,
+       fa.code AS from_code,
+       ta.code AS to_code
+     FROM exchange_rates er
+     JOIN asset_types fa ON fa.id = er.from_asset_type_id
+     JOIN asset_types ta ON ta.id = er.to_asset_type_id
+     WHERE er.effective_from <= NOW()
+     ORDER BY er.from_asset_type_id, er.to_asset_type_id, er.effective_from DESC, er.version DESC`
+  );
+  return rows.map(formatExchangeRate);
+}
+
+async function publishExchangeRate({ fromAssetCode, toAssetCode, rate, effectiveFrom }) {
+  return withTransaction(async (client) => {
+    const { rows: assets } = await client.query(
+      'SELECT id, code FROM asset_types WHERE code = ANY($1::text[]) AND is_active = TRUE',
+      [[fromAssetCode, toAssetCode]]
+    );
+    for (const code of [fromAssetCode, toAssetCode]) {
+      if (!assets.some((a) => a.code === code)) {
+        const err = new Error(`Unknown asset type ${code}`);
+        err.code = 'UNKNOWN_ASSET';
+        err.statusCode = 400;
+        throw err;
+      }
+    }
+    const assetId = (code) => assets.find((a) => a.code === code).id;
+
+    const { rows } = await client.query(
+      `INSERT INTO exchange_rates (from_asset_type_id, to_asset_type_id, rate, version, effective_from)
+       SELECT $1, $2, $3, COALESCE(MAX(version), 0) + 1, COALESCE($4::timestamptz, NOW())
+       FROM exchange_rates
+       WHERE from_asset_type_id = $1 AND to_asset_type_id = $2
+       RETURNING *`,
+      [assetId(fromAssetCode), assetId(toAssetCode), rate, effectiveFrom || null]
+    );
+
+    return formatExchangeRate({ ...rows[0], from_code: fromAssetCode, to_code: toAssetCode });
+  });
+}
+
 // AUDIT: VERIFY LEDGER INTEGRITY
 // Compares materialized balance cache with ledger-derived sum.
 // Used for auditing and detecting any data inconsistencies.
@@ -558,19 +2371,41 @@ async function verifyLedgerIntegrity(accountId) {
 
   return {
     accountId,
-    cachedBalance:  parseFloat(rows[0].cached_balance),
-    ledgerBalance:  parseFloat(rows[0].ledger_balance),
+    cachedBalance:  money.normalize(rows[0].cached_balance),
+    ledgerBalance:  money.normalize(rows[0].ledger_balance),
     isConsistent:   rows[0].is_consistent,
-    discrepancy:    Math.abs(parseFloat(rows[0].cached_balance) - parseFloat(rows[0].ledger_balance)),
+    discrepancy:    money.abs(money.sub(rows[0].cached_balance, rows[0].ledger_balance)),
   };
 }
 
 module.exports = {
+  BALANCE_CHANNEL,
   topUpWallet,
   issueBonus,
+  issueBonusBatch,
   spendCredits,
+  transferCredits,
+  exchangeCurrency,
+  reverseTransaction,
+  authorizeHold,
+  captureHold,
+  voidHold,
+  getHold,
+  expireHolds,
+  expireCreditLots,
+  purgeExpiredIdempotencyKeys,
+  postJournal,
   getBalance,
+  getUserWallets,
   getTransactionHistory,
   listAccounts,
+  createAccount,
+  freezeAccount,
+  unfreezeAccount,
+  deactivateAccount,
+  reactivateAccount,
+  getAccountStatusHistory,
+  listExchangeRates,
+  publishExchangeRate,
   verifyLedgerIntegrity,
 };
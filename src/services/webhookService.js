@@ -0,0 +1,325 @@
+'use strict';
+
+const crypto = require('crypto');
+const { withTransaction, pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// WEBHOOK DELIVERY
+// Wallet flows write events to outbox_events inside their own transaction
+// (see recordEvent in walletService). From there, delivery is two steps,
+// both driven by the dispatcher job:
+//
+//   1. fanOutEvents  — one webhook_deliveries row per (event, subscribed webhook)
+//   2. deliverDue    — POST each due delivery; retry with exponential backoff,
+//                      and park it as DEAD once attempts run out
+//
+// Delivery is at-least-once: receivers should dedupe on the event ID.
+
+const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS    = 30;       // 30s, 1m, 2m, 4m ... capped below
+const RETRY_MAX_SECONDS     = 60 * 60;
+const DELIVERY_TIMEOUT_MS   = 10_000;
+
+// A claimed delivery is pushed this far into the future while its request
+// is in flight, so another dispatcher instance won't pick it up meanwhile
+const CLAIM_LEASE_SECONDS = 60;
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Signature sent as `X-Wallet-Signature: sha256=<hex>`. Receivers recompute
+ * HMAC-SHA256(secret, `${timestamp}.${rawBody}`) with the timestamp from
+ * `X-Wallet-Timestamp`, and should reject stale timestamps.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+
+// ADMIN: WEBHOOKS
+
+function formatWebhook(row) {
+  return {
+    webhookId:   row.id,
+    url:         row.url,
+    eventTypes:  row.event_types,
+    description: row.description,
+    isActive:    row.is_active,
+    createdAt:   row.created_at,
+  };
+}
+
+function formatDelivery(row) {
+  return {
+    deliveryId:     row.id,
+    eventId:        row.event_id,
+    webhookId:      row.webhook_id,
+    status:         row.status,
+    attempts:       row.attempts,
+    nextAttemptAt:  row.next_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError:      row.last_error,
+    deliveredAt:    row.delivered_at,
+    createdAt:      row.created_at,
+  };
+}
+
+/**
+ * Register a webhook. The signing secret is generated here and returned
+ * only in this response.
+ */
+async function registerWebhook({ url, eventTypes = [], description }) {
+  const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const { rows } = await pool.query(
+    `INSERT INTO webhooks (url, secret, event_types, description)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [url, secret, eventTypes, description || null]
+  );
+
+  return { ...formatWebhook(rows[0]), secret };
+}
+
+async function listWebhooks() {
+  const { rows } = await pool.query(`SELECT * FROM webhooks ORDER BY created_at ASC`);
+  return { webhooks: rows.map(formatWebhook) };
+}
+
+async function listDeliveries({ status, limit = 50, offset = 0 } = {}) {
+  const params = [limit, offset];
+  let where = '';
+  if (status) {
+    params.push(status);
+    where = `WHERE status = $${params.length}`;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM webhook_deliveries
+     ${where}
+     ORDER BY created_at DESC
+     LIMIT $1 OFFSET $2`,
+    params
+  );
+
+  return { deliveries: rows.map(formatDelivery), pagination: { limit, offset } };
+}
+
+/**
+ * Queue an event for delivery again — to one webhook, or to every active
+ * webhook subscribed to its type. Existing deliveries (DELIVERED or DEAD)
+ * are reset to PENDING with a fresh attempt budget.
+ */
+async function replayEvent({ eventId, webhookId }) {
+  return withTransaction(async (client) => {
+    const { rows: events } = await client.query(
+      `SELECT id, event_type FROM outbox_events WHERE id = $1`,
+      [eventId]
+    );
+    if (!events.length) {
+      const err = new Error(`Event ${eventId} not found`);
+      err.code = 'EVENT_NOT_FOUND';
+      err.statusCode = 404;
+      throw err;
+    }
+
+    let webhookIds;
+    if (webhookId) {
+      const { rows } = await client.query(`SELECT id FROM webhooks WHERE id = $1`, [webhookId]);
+      if (!rows.length) {
+        const err = new Error(`Webhook ${webhookId} not found`);
+        err.code = 'WEBHOOK_NOT_FOUND';
+        err.statusCode = 404;
+        throw err;
+      }
+      webhookIds = [webhookId];
+    } else {
+      const { rows } = await client.query(
+        `SELECT id FROM webhooks
+         WHERE is_active = TRUE AND (cardinality(event_types) = 0 OR $1 = ANY(event_types))`,
+        [events[0].event_type]
+      );
+      webhookIds = rows.map((w) => w.id);
+    }
+
+    const { rows: deliveries } = await client.query(
+      `INSERT INTO webhook_deliveries (event_id, webhook_id)
+       SELECT $1, unnest($2::uuid[])
+       ON CONFLICT (event_id, webhook_id) DO UPDATE
+       SET status           = 'PENDING',
+           attempts         = 0,
+           next_attempt_at  = NOW(),
+           last_status_code = NULL,
+           last_error       = NULL,
+           delivered_at     = NULL
+       RETURNING *`,
+      [eventId, webhookIds]
+    );
+
+    // The event is now queued explicitly; the fan-out must not queue it again
+    await client.query(
+      `UPDATE outbox_events SET dispatched_at = COALESCE(dispatched_at, NOW()) WHERE id = $1`,
+      [eventId]
+    );
+
+    return { eventId, deliveries: deliveries.map(formatDelivery) };
+  });
+}
+
+
+// DISPATCH
+
+/**
+ * Turn undispatched outbox events into one delivery per subscribed webhook.
+ * @returns {number} events fanned out
+ */
+async function fanOutEvents({ batchSize = 100 } = {}) {
+  return withTransaction(async (client) => {
+    const { rows: events } = await client.query(
+      `SELECT id FROM outbox_events
+       WHERE dispatched_at IS NULL
+       ORDER BY created_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [batchSize]
+    );
+
+    if (!events.length) return 0;
+    const eventIds = events.map((e) => e.id);
+
+    await client.query(
+      `INSERT INTO webhook_deliveries (event_id, webhook_id)
+       SELECT e.id, w.id
+       FROM outbox_events e
+       JOIN webhooks w
+         ON w.is_active = TRUE
+        AND (cardinality(w.event_types) = 0 OR e.event_type = ANY(w.event_types))
+       WHERE e.id = ANY($1::uuid[])
+       ON CONFLICT (event_id, webhook_id) DO NOTHING`,
+      [eventIds]
+    );
+
+    await client.query(
+      `UPDATE outbox_events SET dispatched_at = NOW() WHERE id = ANY($1::uuid[])`,
+      [eventIds]
+    );
+
+    return events.length;
+  });
+}
+
+/**
+ * POST one claimed delivery and record the outcome.
+ * @returns {string} resulting status: DELIVERED | PENDING (will retry) | DEAD
+ */
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify({
+    id:        delivery.event_id,
+    type:      delivery.event_type,
+    createdAt: delivery.event_created_at,
+    data:      delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  let statusCode = null;
+  let error      = null;
+  try {
+    const res = await fetch(delivery.url, {
+      method:  'POST',
+      headers: {
+        'Content-Type':        'application/json',
+        'X-Wallet-Event-Id':   delivery.event_id,
+        'X-Wallet-Event-Type': delivery.event_type,
+        'X-Wallet-Timestamp':  timestamp,
+        'X-Wallet-Signature':  `sha256=${signPayload(delivery.secret, timestamp, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    statusCode = res.status;
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+
+  if (!error) {
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'DELIVERED', attempts = $2, last_status_code = $3, last_error = NULL, delivered_at = NOW()
+       WHERE id = $1`,
+      [delivery.id, attempts, statusCode]
+    );
+    return 'DELIVERED';
+  }
+
+  const status = attempts >= MAX_DELIVERY_ATTEMPTS ? 'DEAD' : 'PENDING';
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+         next_attempt_at = NOW() + make_interval(secs => $6)
+     WHERE id = $1`,
+    [delivery.id, status, attempts, statusCode, error, retryDelaySeconds(attempts)]
+  );
+
+  if (status === 'DEAD') {
+    logger.error('Webhook delivery dead', {
+      component:  'webhooks',
+      deliveryId: delivery.id,
+      url:        delivery.url,
+      attempts,
+      error,
+    });
+  }
+  return status;
+}
+
+/**
+ * Claim up to `batchSize` due deliveries and attempt them concurrently.
+ * Claiming and delivering are separate steps so no database transaction
+ * stays open while waiting on a receiver.
+ *
+ * @returns {{ attempted, delivered, retrying, dead }}
+ */
+async function deliverDue({ batchSize = 50 } = {}) {
+  const { rows: claimed } = await pool.query(
+    `WITH due AS (
+       SELECT id FROM webhook_deliveries
+       WHERE status = 'PENDING' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + make_interval(secs => $2)
+     FROM due, outbox_events e, webhooks w
+     WHERE d.id = due.id AND e.id = d.event_id AND w.id = d.webhook_id
+     RETURNING d.id, d.attempts, e.id AS event_id, e.event_type, e.payload,
+               e.created_at AS event_created_at, w.url, w.secret`,
+    [batchSize, CLAIM_LEASE_SECONDS]
+  );
+
+  const outcomes = await Promise.all(claimed.map(attemptDelivery));
+  const count = (status) => outcomes.filter((o) => o === status).length;
+
+  return {
+    attempted: claimed.length,
+    delivered: count('DELIVERED'),
+    retrying:  count('PENDING'),
+    dead:      count('DEAD'),
+  };
+}
+
+module.exports = {
+  MAX_DELIVERY_ATTEMPTS,
+  signPayload,
+  registerWebhook,
+  listWebhooks,
+  listDeliveries,
+  replayEvent,
+  fanOutEvents,
+  deliverDue,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// STRUCTURED LOGGING
+// One JSON object per line on stdout:
+//
+//   {"level":"info","time":"2026-01-01T00:00:00.000Z","msg":"Request completed","requestId":"…",…}
+//
+// Fields bound with withContext() — the request ID, for everything done on
+// behalf of a request — are added to every line logged inside it, however
+// deep in the call stack, without passing them through each call.
+//
+// Values under sensitive keys (API keys, secrets, passwords, tokens,
+// signatures, auth headers) are replaced before a line is written, at any
+// depth, so an error's details or a metadata object can be logged as is.
+//
+// LOG_LEVEL picks the minimum level written: debug, info (default), warn,
+// error, or silent (the default under NODE_ENV=test).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SENSITIVE_KEY = /passw(or)?d|passphrase|secret|token|authorization|cookie|api[-_]?key|signature/i;
+const REDACTED      = '[REDACTED]';
+const MAX_DEPTH     = 8;
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  const level = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+/**
+ * Copy of `value` safe to log: sensitive keys redacted, Errors reduced to
+ * their message, code and stack, and nesting cut off at MAX_DEPTH.
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return redact({ message: value.message, code: value.code, details: value.details, stack: value.stack }, depth);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+    key,
+    SENSITIVE_KEY.test(key) && v !== undefined && v !== null ? REDACTED : redact(v, depth + 1),
+  ]));
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = redact({
+    level,
+    time: new Date().toISOString(),
+    msg,
+    ...context.getStore(),
+    ...fields,
+  });
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Run `fn` with `fields` added to every line logged during it, including
+ * from async work it starts. Nested contexts extend the outer one.
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info:  (msg, fields) => write('info', msg, fields),
+  warn:  (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  withContext,
+  redact,
+};
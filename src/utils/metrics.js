@@ -0,0 +1,191 @@
+'use strict';
+
+const money = require('./money');
+
+// PROMETHEUS METRICS
+// In-process counters, gauges and histograms, rendered in the Prometheus
+// text exposition format (version 0.0.4) by GET /metrics. Each process
+// exposes its own values; Prometheus sums across instances.
+//
+// Values recorded here are per process and reset on restart, as counters
+// are meant to. Gauges describing shared state (pool, last reconciliation)
+// are set at scrape time by services/metricsService.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Labels in the metric's declared order, so equal label sets share a
+ * series whatever order the caller wrote them in. Missing labels are ''.
+ */
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function labelsOf(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`];
+}
+
+function counter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  return register({
+    inc(labels, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      return [
+        ...header(name, help, 'counter'),
+        ...[...series].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${formatValue(value)}`),
+      ];
+    },
+  });
+}
+
+function gauge({ name, help, labelNames = [] }) {
+  const series = new Map();
+  return register({
+    set(labels, value) {
+      series.set(seriesKey(labelNames, labels), value);
+    },
+    reset() {
+      series.clear();
+    },
+    render() {
+      return [
+        ...header(name, help, 'gauge'),
+        ...[...series].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${formatValue(value)}`),
+      ];
+    },
+  });
+}
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map(); // key → { counts (per bucket, non-cumulative), sum, count }
+  return register({
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      const bucket = buckets.findIndex((le) => value <= le);
+      if (bucket !== -1) s.counts[bucket]++;
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      for (const [key, s] of series) {
+        const labels = labelsOf(labelNames, key);
+        let cumulative = 0;
+        buckets.forEach((le, i) => {
+          cumulative += s.counts[i];
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(s.sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${s.count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+function render() {
+  return registry.map((metric) => metric.render().join('\n')).join('\n') + '\n';
+}
+
+
+// WALLET METRICS
+
+const httpRequestDuration = histogram({
+  name:       'wallet_http_request_duration_seconds',
+  help:       'HTTP request latency by method, route and status.',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const transactionsTotal = counter({
+  name:       'wallet_transactions_total',
+  help:       'Committed ledger transactions by type and asset.',
+  labelNames: ['type', 'asset'],
+});
+
+const transactionVolume = counter({
+  name:       'wallet_transaction_volume_total',
+  help:       'Amount moved by committed ledger transactions (sum of debit legs), by type and asset.',
+  labelNames: ['type', 'asset'],
+});
+
+const rejectionsTotal = counter({
+  name:       'wallet_rejections_total',
+  help:       'Requests rejected for insufficient balance or a spending limit, by code and limit.',
+  labelNames: ['code', 'limit'],
+});
+
+const transactionRetries = counter({
+  name:       'wallet_db_transaction_retries_total',
+  help:       'Database transactions retried after a serialization failure (40001) or deadlock (40P01).',
+  labelNames: ['code'],
+});
+
+const REJECTION_CODES = new Set(['INSUFFICIENT_BALANCE', 'LIMIT_EXCEEDED']);
+
+/**
+ * Count a committed posting once per asset it touched. `legs` are the
+ * postLedgerEntries legs; each asset's volume is the sum of its debits.
+ */
+function recordPosting(type, legs) {
+  const volumes = new Map(); // asset code → volume
+  for (const { account, amount } of legs) {
+    const volume = volumes.get(account.asset_code) || '0';
+    volumes.set(account.asset_code, money.sign(amount) > 0 ? money.add(volume, amount) : volume);
+  }
+  for (const [asset, volume] of volumes) {
+    transactionsTotal.inc({ type, asset });
+    transactionVolume.inc({ type, asset }, Number(volume));
+  }
+}
+
+function recordRejection(err) {
+  if (!REJECTION_CODES.has(err.code)) return;
+  rejectionsTotal.inc({ code: err.code, limit: err.details?.limit || '' });
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  counter,
+  gauge,
+  histogram,
+  render,
+  httpRequestDuration,
+  transactionRetries,
+  recordPosting,
+  recordRejection,
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+// EXACT DECIMAL AMOUNTS
+// Every amount column is NUMERIC(20, 8), and amounts never pass through a
+// float on their way in or out of it. In JavaScript an amount is a decimal
+// string ("12.5"); arithmetic converts to BigInt counts of 10^-8 (units),
+// works on those, and converts back. Postgres reads and writes the strings
+// as NUMERIC without loss.
+//
+// Strings produced here are canonical: no exponent, no leading "+", no
+// trailing fractional zeros ("500", "0.1", "-0.00000001").
+
+const SCALE = 8;
+const UNIT  = 10n ** BigInt(SCALE);
+
+const DECIMAL = /^([+-])?(\d+)(?:\.(\d*))?$/;
+
+function invalidAmount(value, reason) {
+  const err = new Error(`Invalid amount ${JSON.stringify(value)}: ${reason}`);
+  err.code = 'INVALID_AMOUNT';
+  return err;
+}
+
+/**
+ * Plain decimal notation of a JS number. String(n) is the shortest string
+ * that reads back as n — 0.1 gives "0.1", not its binary expansion — but
+ * switches to exponent notation below 1e-6 and from 1e21.
+ */
+function numberToDecimal(n) {
+  const text = String(n);
+  const match = text.match(/^(-)?(\d)(?:\.(\d+))?e([+-]\d+)$/);
+  if (!match) return text;
+
+  const [, sign = '', lead, rest = '', exp] = match;
+  const digits = lead + rest;
+  const point  = 1 + Number(exp); // position of the decimal point in digits
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Number of decimal places in a value, ignoring trailing zeros.
+ */
+function scaleOf(value) {
+  const text  = typeof value === 'number' ? numberToDecimal(value) : String(value).trim();
+  const match = text.match(DECIMAL);
+  if (!match) throw invalidAmount(value, 'not a decimal number');
+  return (match[3] || '').replace(/0+$/, '').length;
+}
+
+/**
+ * Amount (string, number, or NUMERIC from pg) → BigInt units of 10^-8.
+ * Throws INVALID_AMOUNT on anything else, or on digits beyond the 8th
+ * decimal place — those are rejected, never rounded.
+ */
+function toUnits(value) {
+  if (typeof value === 'bigint') return value * UNIT;
+  if (typeof value === 'number' && !Number.isFinite(value)) throw invalidAmount(value, 'not a finite number');
+  if (typeof value !== 'number' && typeof value !== 'string') throw invalidAmount(value, 'not a decimal number');
+
+  const text  = typeof value === 'number' ? numberToDecimal(value) : value.trim();
+  const match = text.match(DECIMAL);
+  if (!match) throw invalidAmount(value, 'not a decimal number');
+
+  const [, sign, whole, fraction = ''] = match;
+  const significant = fraction.replace(/0+$/, '');
+  if (significant.length > SCALE) throw invalidAmount(value, `more than ${SCALE} decimal places`);
+
+  const units = BigInt(whole) * UNIT + BigInt(significant.padEnd(SCALE, '0') || '0');
+  return sign === '-' ? -units : units;
+}
+
+/**
+ * BigInt units → canonical decimal string.
+ */
+function fromUnits(units) {
+  const negative = units < 0n;
+  const abs      = negative ? -units : units;
+  const whole    = abs / UNIT;
+  const fraction = (abs % UNIT).toString().padStart(SCALE, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+function normalize(value) {
+  return fromUnits(toUnits(value));
+}
+
+function add(...values) {
+  return fromUnits(values.reduce((sum, v) => sum + toUnits(v), 0n));
+}
+
+function sub(a, b) {
+  return fromUnits(toUnits(a) - toUnits(b));
+}
+
+function neg(a) {
+  return fromUnits(-toUnits(a));
+}
+
+function abs(a) {
+  const units = toUnits(a);
+  return fromUnits(units < 0n ? -units : units);
+}
+
+/**
+ * -1, 0 or 1 as a is less than, equal to or greater than b.
+ */
+function compare(a, b) {
+  const diff = toUnits(a) - toUnits(b);
+  return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+function min(a, b) {
+  return compare(a, b) <= 0 ? normalize(a) : normalize(b);
+}
+
+function sign(a) {
+  return compare(a, 0);
+}
+
+/**
+ * amount × rate, rounded toward zero to `precision` decimal places — a
+ * conversion never pays out more than the rate allows.
+ */
+function multiply(amount, rate, precision = SCALE) {
+  const exact = (toUnits(amount) * toUnits(rate)) / UNIT; // truncated to 8 places
+  const step  = 10n ** BigInt(SCALE - precision);
+  return fromUnits((exact / step) * step);
+}
+
+module.exports = {
+  SCALE,
+  toUnits,
+  fromUnits,
+  normalize,
+  scaleOf,
+  add,
+  sub,
+  neg,
+  abs,
+  compare,
+  min,
+  sign,
+  multiply,
+};